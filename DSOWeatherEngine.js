@@ -8,10 +8,31 @@
  *   2. E-Gradient (∂E/∂φ - spatial rate of change)
  *   3. E-Catalyst (dθ/dt - tilt rate)
  *   4. E-Angle (sin α - solar incidence)
+ *
+ * UMD module: require() under Node (or import via DSOWeatherEngine.mjs),
+ * window.DSOWeatherEngine in the browser after stormRules.js,
+ * geoUtils.js and profiles.js. Browsers fetch the storm type rules
+ * (see fromURL).
  */
 
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./stormRules.js'), require('./geoUtils.js'), require('./profiles.js'),
+      require('./weatherHypotheses.json'));
+  } else {
+    root.DSOWeatherEngine = factory(root.DSOStormRules, root.DSOGeo, root.DSOProfiles, null).DSOWeatherEngine;
+  }
+}(typeof self !== 'undefined' ? self : this, function (stormRules, geo, profiles, hypotheses) {
+
+const { StormRuleEngine } = stormRules;
+
+// No bundled rules in the browser until some are passed in (see fromURL)
+const DEFAULT_HYPOTHESES = hypotheses || { stormTypeEquations: {} };
+
 class DSOWeatherEngine {
-  constructor() {
+  constructor(config = {}) {
+    this.MODEL_VERSION = '1.0';
+    
     // DSO Universal Constants
     this.PHI = (1 + Math.sqrt(5)) / 2;                    // Golden Ratio φ = 1.618...
     this.G_DAGGER = (2 / this.PHI) * 1e-10;               // Galactic Threshold G† [cite: 173]
@@ -19,52 +40,429 @@ class DSOWeatherEngine {
     
     // Earth Orbital Constants
     this.EARTH_TILT = 23.44;                              // Axial tilt in degrees
-    this.DAYS_PER_YEAR = 365.25;
-    this.SPRING_EQUINOX_DOY = 80;                         // ~March 21
-    this.FALL_EQUINOX_DOY = 266;                          // ~September 23
-    this.SUMMER_SOLSTICE_DOY = 172;                       // ~June 21
-    this.WINTER_SOLSTICE_DOY = 355;                       // ~December 21
+    this.MS_PER_DAY = 86400000;
+    this.JD_UNIX_EPOCH = 2440587.5;                       // Julian Day of 1970-01-01T00:00Z
+    this.JD_J2000 = 2451545.0;                            // Julian Day of 2000-01-01T12:00 TT
+    
+    // Year used when a bare day-of-year number is passed instead of a date
+    // Fixed rather than the current year, so day-of-year output doesn't drift
+    this.REFERENCE_YEAR = 2025;
+    this.year = config.year || this.REFERENCE_YEAR;
+    this.seasonCache = new Map();                         // year → equinox/solstice instants
     
     // Climate Parameters
     this.GULF_SST_BASELINE = 26.0;                        // °C baseline (1970s)
     this.GULF_SST_CURRENT = 27.0;                         // °C current (~2020s)
-    this.WARMING_COEFFICIENT = 1.0;                       // β₁: 100% increase per °C
+    this.WARMING_COEFFICIENT = 1.0;                       // β₁: fuel gain coefficient
     this.ARCTIC_DAMPING = 0.3;                            // β₂: gradient reduction factor
+    this.WARMING_SCALE = 0.1;                             // β per °C applied at this fraction (β₁ = 1 → +10%/°C)
     
     // Regional E-Fuel Access (distance from Gulf in relative units)
+    // lat/lon are the representative anchor point used for interpolation
+    // Runtime changes go through registerRegion / updateRegion / removeRegion
     this.REGIONAL_FUEL = {
-      'gulf_coast':     { lat: 30, fuel: 1.00, gradient: 0.60, name: 'Gulf Coast' },
-      'dixie_alley':    { lat: 34, fuel: 0.90, gradient: 1.00, name: 'Dixie Alley' },
-      'tornado_alley':  { lat: 36, fuel: 0.80, gradient: 1.00, name: 'Tornado Alley' },
-      'southern_plains': { lat: 33, fuel: 0.85, gradient: 0.90, name: 'Southern Plains' },
-      'midwest':        { lat: 40, fuel: 0.65, gradient: 0.80, name: 'Midwest' },
-      'northern_plains': { lat: 45, fuel: 0.45, gradient: 0.50, name: 'Northern Plains' },
-      'northeast':      { lat: 42, fuel: 0.40, gradient: 0.40, name: 'Northeast' },
-      'southeast':      { lat: 33, fuel: 0.85, gradient: 0.75, name: 'Southeast' },
-      'pacific_nw':     { lat: 47, fuel: 0.30, gradient: 0.30, name: 'Pacific NW' },
-      'southwest':      { lat: 34, fuel: 0.25, gradient: 0.20, name: 'Southwest' },
+      'gulf_coast':     { lat: 30, lon: -90,  fuel: 1.00, gradient: 0.60, name: 'Gulf Coast' },
+      'dixie_alley':    { lat: 34, lon: -89,  fuel: 0.90, gradient: 1.00, name: 'Dixie Alley' },
+      'tornado_alley':  { lat: 36, lon: -98,  fuel: 0.80, gradient: 1.00, name: 'Tornado Alley' },
+      'southern_plains': { lat: 33, lon: -99, fuel: 0.85, gradient: 0.90, name: 'Southern Plains' },
+      'midwest':        { lat: 40, lon: -90,  fuel: 0.65, gradient: 0.80, name: 'Midwest' },
+      'northern_plains': { lat: 45, lon: -99, fuel: 0.45, gradient: 0.50, name: 'Northern Plains' },
+      'northeast':      { lat: 42, lon: -76,  fuel: 0.40, gradient: 0.40, name: 'Northeast' },
+      'southeast':      { lat: 33, lon: -84,  fuel: 0.85, gradient: 0.75, name: 'Southeast' },
+      'pacific_nw':     { lat: 47, lon: -122, fuel: 0.30, gradient: 0.30, name: 'Pacific NW' },
+      'southwest':      { lat: 34, lon: -111, fuel: 0.25, gradient: 0.20, name: 'Southwest' },
       // Higher latitude regions for bomb cyclone analysis
-      'new_england':    { lat: 43, fuel: 0.35, gradient: 0.55, name: 'New England' },
-      'great_lakes':    { lat: 44, fuel: 0.40, gradient: 0.60, name: 'Great Lakes' },
-      'upper_midwest':  { lat: 46, fuel: 0.35, gradient: 0.55, name: 'Upper Midwest' },
-      'northern_rockies': { lat: 47, fuel: 0.25, gradient: 0.45, name: 'Northern Rockies' },
-      'alaska_se':      { lat: 58, fuel: 0.20, gradient: 0.70, name: 'SE Alaska' }
+      'new_england':    { lat: 43, lon: -71,  fuel: 0.35, gradient: 0.55, name: 'New England' },
+      'great_lakes':    { lat: 44, lon: -85,  fuel: 0.40, gradient: 0.60, name: 'Great Lakes' },
+      'upper_midwest':  { lat: 46, lon: -92,  fuel: 0.35, gradient: 0.55, name: 'Upper Midwest' },
+      'northern_rockies': { lat: 47, lon: -112, fuel: 0.25, gradient: 0.45, name: 'Northern Rockies' },
+      'alaska_se':      { lat: 58, lon: -135, fuel: 0.20, gradient: 0.70, name: 'SE Alaska' },
+      // International regions, each fed by its own moisture source
+      'pampas':         { lat: -34, lon: -62, fuel: 0.85, gradient: 0.90, name: 'Pampas (Argentina)',
+                          moistureSource: { lat: -10, lon: -62, name: 'Amazon Basin (low-level jet)' } },
+      'bangladesh':     { lat: 23.7, lon: 90.4, fuel: 0.95, gradient: 0.70, name: 'Bangladesh',
+                          moistureSource: { lat: 15, lon: 88, name: 'Bay of Bengal' } },
+      'central_europe': { lat: 49, lon: 11, fuel: 0.45, gradient: 0.60, name: 'Central Europe',
+                          moistureSource: { lat: 38, lon: 15, name: 'Mediterranean Sea' } }
+    };
+    
+    // Astronomical seasons after each equinox/solstice, per hemisphere
+    this.SEASON_NAMES = {
+      north: { marchEquinox: 'spring', juneSolstice: 'summer', septemberEquinox: 'autumn', decemberSolstice: 'winter' },
+      south: { marchEquinox: 'autumn', juneSolstice: 'winter', septemberEquinox: 'spring', decemberSolstice: 'summer' }
+    };
+    
+    // Continuous E-field (points between/away from the regional anchors)
+    this.MOISTURE_SOURCE = { lat: 26.0, lon: -90.0, name: 'Gulf of Mexico' };
+    this.EARTH_RADIUS_KM = 6371;
+    this.ANCHOR_RADIUS_KM = 600;                          // Anchor influence e-folding distance
+    this.IDW_POWER = 2;                                   // Inverse-distance weighting exponent
+    this.FUEL_SOURCE_OFFSET_KM = 400;                     // Full fuel within this distance of source
+    this.FUEL_DECAY_KM = 2500;                            // Fuel e-folding distance from source
+    this.GRADIENT_PEAK_KM = 1200;                         // Collision band distance from source
+    this.GRADIENT_WIDTH_KM = 900;                         // Collision band half-width
+    this.GRADIENT_FLOOR = 0.20;                           // Background gradient far from the band
+    this.AREA_RESOLUTION_DEG = 0.25;                      // Sampling grid for area-weighted inference
+    
+    // Gridded fields (see evaluateGrid)
+    this.GRID_RESOLUTION_DEG = 0.5;
+    this.GRID_MAX_CELLS = 2000000;
+    this.GRID_MAX_DAYS = 366;
+    this.WINDOW_MAX_DAYS = 3660;                          // Event-window search span (~10 years)
+    this.GRID_BOUNDS = {
+      conus:  { west: -125, south: 24, east: -66, north: 50 },
+      global: { west: -180, south: -90, east: 180, north: 90 }
+    };
+    
+    // Batch evaluation (see evaluateBatch)
+    this.BATCH_FIELDS = ['fuel', 'gradient', 'catalyst', 'solarAngle', 'probability', 'volatility', 'danger'];
+    this.BATCH_MAX_BYTES = 2 ** 30;                       // Output memory cap (1 GiB, see prepareBatch)
+    
+    // Season summaries (see summarizeSeason)
+    this.SEASON_THRESHOLD = 0.25;                         // Daily danger counted as "in season"
+    this.SEASON_PEAK_SEPARATION_DAYS = 60;                // Secondary peak at least this far from the primary
+    
+    // Public danger levels (lower bounds), as on the forecast page
+    this.DANGER_LEVELS = [
+      { label: 'MINIMAL', min: 0 },
+      { label: 'LOW', min: 0.05 },
+      { label: 'MODERATE', min: 0.15 },
+      { label: 'HIGH', min: 0.30 },
+      { label: 'EXTREME', min: 0.50 }
+    ];
+    
+    // Diurnal E-accumulation (hourly mode)
+    // τ_lag is set, not fitted: a first-order lag delays a daily cycle's
+    // peak by atan(ωτ)/ω (ω = 2π / 24 h), ~3.5 h after solar noon at 5 h.
+    // It was chosen to land in the DSO-W-008 window, so an afternoon peak
+    // from inferHourly() is a model assumption, not evidence for it
+    this.ACCUMULATION_LAG_HOURS = 5;                      // Solar input → threshold time constant
+    this.ACCUMULATION_STEP_MINUTES = 15;                  // Integration step
+    this.ACCUMULATION_SPINUP_HOURS = 48;                  // Run-in before the curve starts
+    this.AFTERNOON_PEAK_WINDOW = [15, 19];                // DSO-W-008: 3-7 PM local peak, [start, end) hours
+    
+    // Metabolic (inversion) modes - see getMetabolicState
+    // Checked in order; TRANSITION when none holds
+    this.METABOLIC_MODES = [
+      { mode: 'INVERSION',  when: [['inversionRatio', '>', 1.2], ['catalyst', '>', 0.5], ['solarAngle', '<', 0.6]] },
+      { mode: 'STANDARD',   when: [['solarAngle', '>', 0.5], ['catalyst', '>', 0.4]] },
+      { mode: 'SUPPRESSED', when: [['solarAngle', '>', 0.7], ['catalyst', '<', 0.3]] },
+      { mode: 'DORMANT',    when: [['solarAngle', '<', 0.5], ['catalyst', '<', 0.3]] }
+    ];
+    this.MODE_SOFTNESS = { inversionRatio: 0.05, catalyst: 0.02, solarAngle: 0.02 };   // Logistic width per cutoff
+    this.MODE_HYSTERESIS = 0.1;                           // Membership lead needed to leave the previous mode
+    this.BOMB_SEVERITY_EDGES = [0, 0.3, 0.5, 1.0];        // Inversion potential at severity 0, 1, 2, 3
+    this.BOMB_SEVERITY_LABELS = ['MODERATE', 'STRONG', 'EXTREME'];
+    
+    // Hurricane latitude factor f(latitude)
+    this.HURRICANE_MIN_LAT = 5;                           // Coriolis too weak to spin up below this
+    this.HURRICANE_FULL_LAT = 20;                         // Full strength equatorward of this
+    
+    // Ensemble (Monte Carlo) mode - see runEnsemble
+    this.ENSEMBLE_MEMBERS = 500;
+    this.ENSEMBLE_SEED = 1;                               // Fixed by default: same briefing, same numbers
+    this.ENSEMBLE_DISTRIBUTIONS = {
+      fuel:         { distribution: 'normal', spread: 0.10, relative: true },
+      gradient:     { distribution: 'normal', spread: 0.15, relative: true },
+      duration:     { distribution: 'normal', spread: 0.10 },    // Only when τ is observed
+      boundaryTemp: { distribution: 'normal', spread: 1.0 }      // °C, only when observed
+    };
+    this.ENSEMBLE_BOUNDS = {
+      fuel: [0, 1],                                       // As adjustFuel
+      gradient: [0, Infinity],
+      catalyst: [0, 1],
+      solarAngle: [0, 1],
+      duration: [0, 1],
+      boundaryTemp: [-Infinity, Infinity]
     };
     
     // Storm type thresholds
+    // Referenced by name from the `when` rules in stormTypeEquations
     this.THRESHOLDS = {
-      tornado:           { minDanger: 0.70, minCatalyst: 0.60, minGradient: 0.70 },
-      supercell:         { minDanger: 0.50, minCatalyst: 0.40, minGradient: 0.50 },
-      severe_tstorm:     { minDanger: 0.30, minCatalyst: 0.20, minGradient: 0.30 },
-      derecho:           { minDanger: 0.60, maxCatalyst: 0.30, minFuel: 0.80 },
-      hurricane:         { minFuel: 0.90, minDuration: 0.80, maxLat: 35 },
-      blizzard:          { minGradient: 0.60, minCatalyst: 0.50, maxSolar: 0.30 },
-      ice_storm:         { minGradient: 0.50, tempRange: [-5, 5] },
-      flash_flood:       { minFuel: 0.70, minDuration: 0.50 },
-      thunderstorm:      { minFuel: 0.30, minSolar: 0.30 }
+      tornado:             { minGradient: 0.70, minCatalyst: 0.60, minVolatility: 0.40 },
+      supercell:           { minGradient: 0.50, minCatalyst: 0.40, minFuel: 0.50 },
+      severe_thunderstorm: { minGradient: 0.30, minFuel: 0.40, minSolar: 0.30 },
+      derecho:             { minFuel: 0.75, maxCatalyst: 0.35, maxGradient: 0.50 },
+      hurricane:           { minFuel: 0.90, minDuration: 0.80, maxLat: 35 },
+      blizzard:            { minGradient: 0.50, minCatalyst: 0.40, maxSolar: 0.35 },
+      ice_storm:           { minGradient: 0.50, tempRange: [-5, 5] },
+      flash_flood:         { minFuel: 0.70, minDuration: 0.50 },
+      thunderstorm:        { minFuel: 0.30, minSolar: 0.40 }
+    };
+    
+    // Storm type rules (weatherHypotheses.json stormTypeEquations by default)
+    this.loadStormTypes(config.stormTypesFile || config.stormTypes || DEFAULT_HYPOTHESES);
+    
+    // Parameter profile (see loadProfile); the values above are 'default'
+    this.profile = { name: 'default', version: null, description: 'Built-in constants' };
+    this.provenanceCache = null;
+    if (config.profile) {
+      this.loadProfile(config.profile);
+    }
+    
+    // Calibrated parameters (see calibrate.js and loadParameters)
+    this.PARAMETER_FORMAT = 'dso-parameters';
+    this.PARAMETER_VERSION = 1;
+    this.parameters = null;
+    if (config.parametersFile || config.parameters) {
+      this.loadParameters(config.parametersFile || config.parameters);
+    }
+    this.provenanceCache = null;                          // loadProfile hashed before the constants above were set
+  }
+
+  /**
+   * Engine with the storm type rules fetched from a hypotheses JSON
+   * file - the browser counterpart of the bundled Node default
+   */
+  static async fromURL(url = 'weatherHypotheses.json', config = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load storm types from ${url}: ${response.status}`);
+    }
+    return new DSOWeatherEngine({ ...config, stormTypes: await response.json() });
+  }
+
+  /**
+   * Replace the storm type rules
+   * Accepts a hypotheses document, a bare stormTypeEquations map,
+   * or a path to a JSON file containing either
+   */
+  loadStormTypes(source) {
+    this.stormRules = typeof source === 'string'
+      ? StormRuleEngine.fromFile(source)
+      : StormRuleEngine.fromHypotheses(source);
+    this.provenanceCache = null;
+    return this.stormRules;
+  }
+
+  /**
+   * Apply a calibrated parameter file (written by calibrate.js)
+   * Accepts the parsed document or, under Node, a path to it.
+   * Overrides fuel/gradient of the listed regions and the listed
+   * THRESHOLDS cutoffs; everything else keeps its current value.
+   * Nothing is changed if any entry is invalid.
+   */
+  loadParameters(source) {
+    const params = typeof source === 'string'
+      ? JSON.parse(require('fs').readFileSync(source, 'utf8'))
+      : source;
+    if (!params || params.format !== this.PARAMETER_FORMAT) {
+      throw new Error(`Not a DSO parameter file (expected format '${this.PARAMETER_FORMAT}')`);
+    }
+    if (!Number.isInteger(params.version) || params.version < 1 || params.version > this.PARAMETER_VERSION) {
+      throw new Error(`Unsupported parameter file version: ${params.version}`);
+    }
+    
+    const regions = params.regions || {};
+    for (const [id, values] of Object.entries(regions)) {
+      if (!this.REGIONAL_FUEL[id]) {
+        throw new Error(`Parameter file names an unknown region: ${id}`);
+      }
+      for (const key of ['fuel', 'gradient']) {
+        const value = values[key];
+        if (value !== undefined && !(Number.isFinite(value) && value >= 0 && value <= 1)) {
+          throw new Error(`Invalid ${key} for ${id}: ${value} (expected 0-1)`);
+        }
+      }
+    }
+    const thresholds = params.thresholds || {};
+    for (const [type, cutoffs] of Object.entries(thresholds)) {
+      if (!this.THRESHOLDS[type]) {
+        throw new Error(`Parameter file names an unknown storm type: ${type}`);
+      }
+      for (const [key, value] of Object.entries(cutoffs)) {
+        if (!(key in this.THRESHOLDS[type]) || !Number.isFinite(value)) {
+          throw new Error(`Invalid threshold ${type}.${key}: ${value}`);
+        }
+      }
+    }
+    const maxLat = thresholds.hurricane?.maxLat;
+    if (maxLat !== undefined && !(maxLat > this.HURRICANE_FULL_LAT)) {
+      throw new Error(`Invalid threshold hurricane.maxLat: ${maxLat} (must be above HURRICANE_FULL_LAT ${this.HURRICANE_FULL_LAT})`);
+    }
+    
+    for (const [id, values] of Object.entries(regions)) {
+      const changes = {};
+      if (values.fuel !== undefined) changes.fuel = values.fuel;
+      if (values.gradient !== undefined) changes.gradient = values.gradient;
+      this.updateRegion(id, changes);
+    }
+    for (const [type, cutoffs] of Object.entries(thresholds)) {
+      this.THRESHOLDS[type] = { ...this.THRESHOLDS[type], ...cutoffs };
+    }
+    
+    this.provenanceCache = null;
+    this.parameters = {
+      version: params.version,
+      created: params.created || null,
+      method: params.method || null,
+      source: params.source || null
+    };
+    return this.parameters;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    PARAMETER PROFILES
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Apply a named parameter profile (see profiles.js)
+   * Accepts the parsed document or, under Node, a profile name from
+   * profiles/ ('arctic-amplified') or a path to a JSON file.
+   * Listed regions are updated (or added), listed THRESHOLDS cutoffs
+   * merged, other keys replaced. Nothing is changed if the profile
+   * fails the schema or any value is rejected.
+   * Profiles apply on top of the current values, so compare profiles
+   * on separate engines.
+   */
+  loadProfile(source) {
+    const profile = typeof source === 'string' ? this.readProfile(source) : source;
+    const errors = profiles.validateProfile(profile);
+    if (errors.length > 0) {
+      throw new Error(`Invalid profile: ${errors.join('; ')}`);
+    }
+    
+    // The schema allows a number or a [low, high] pair for any cutoff;
+    // each must keep the shape of the value it replaces
+    const { THRESHOLDS, REGIONAL_FUEL, ...constants } = profile.parameters;
+    for (const [type, cutoffs] of Object.entries(THRESHOLDS || {})) {
+      for (const [key, value] of Object.entries(cutoffs)) {
+        if (!this.THRESHOLDS[type] || !(key in this.THRESHOLDS[type])) {
+          throw new Error(`Invalid profile: unknown threshold ${type}.${key}`);
+        }
+        const pair = Array.isArray(this.THRESHOLDS[type][key]);
+        if (pair ? !(Array.isArray(value) && value.every(Number.isFinite) && value[0] < value[1]) : !Number.isFinite(value)) {
+          throw new Error(`Invalid profile: threshold ${type}.${key} must be ${pair ? 'a [low, high] pair with low < high' : 'a number'}`);
+        }
+      }
+    }
+    // getLatitudeFactor ramps over MIN → FULL and tapers over FULL → maxLat
+    const minLat = constants.HURRICANE_MIN_LAT ?? this.HURRICANE_MIN_LAT;
+    const fullLat = constants.HURRICANE_FULL_LAT ?? this.HURRICANE_FULL_LAT;
+    const maxLat = THRESHOLDS?.hurricane?.maxLat ?? this.THRESHOLDS.hurricane.maxLat;
+    if (!(minLat < fullLat && fullLat < maxLat)) {
+      throw new Error(`Invalid profile: need HURRICANE_MIN_LAT < HURRICANE_FULL_LAT < hurricane.maxLat (got ${minLat}, ${fullLat}, ${maxLat})`);
+    }
+    
+    const snapshot = {};
+    for (const key of profiles.PROFILE_KEYS) {
+      snapshot[key] = this[key];
+    }
+    this.REGIONAL_FUEL = { ...this.REGIONAL_FUEL };
+    try {
+      for (const [id, spec] of Object.entries(REGIONAL_FUEL || {})) {
+        const result = this.REGIONAL_FUEL[id] ? this.updateRegion(id, spec) : this.registerRegion(id, spec);
+        if (result.error) throw new Error(result.error);
+      }
+      for (const [type, cutoffs] of Object.entries(THRESHOLDS || {})) {
+        this.THRESHOLDS = { ...this.THRESHOLDS, [type]: { ...this.THRESHOLDS[type], ...cutoffs } };
+      }
+      Object.assign(this, JSON.parse(JSON.stringify(constants)));
+      if (constants.MOISTURE_SOURCE && !constants.MOISTURE_SOURCE.name) {
+        this.MOISTURE_SOURCE = { name: 'Custom', ...this.MOISTURE_SOURCE };
+      }
+      if (this.DANGER_LEVELS.some((level, i) => i > 0 && level.min <= this.DANGER_LEVELS[i - 1].min)) {
+        throw new Error('DANGER_LEVELS must be in ascending order of min');
+      }
+    } catch (error) {
+      Object.assign(this, snapshot);
+      throw new Error(`Invalid profile: ${error.message}`);
+    }
+    
+    this.profile = {
+      name: profile.name,
+      version: profile.version,
+      description: profile.description || ''
+    };
+    this.provenanceCache = null;
+    return this.getProvenance();
+  }
+
+  /**
+   * Read a profile by name (profiles/<name>.json) or path - Node only
+   */
+  readProfile(source) {
+    const fs = require('fs');
+    const path = require('path');
+    const file = /[\\/]|\.json$/.test(source) ? source : path.join(__dirname, 'profiles', `${source}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Unknown profile: ${source}`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Profile names available in profiles/ - Node only
+   */
+  static listProfiles() {
+    const fs = require('fs');
+    const path = require('path');
+    return fs.readdirSync(path.join(__dirname, 'profiles'))
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  /**
+   * Current values of every profile key, in profile form
+   * (region bounding boxes and areas are derived, so left out)
+   */
+  getProfileParameters() {
+    const parameters = {};
+    for (const key of profiles.PROFILE_KEYS) {
+      parameters[key] = this[key];
+    }
+    parameters.REGIONAL_FUEL = {};
+    for (const [id, { bbox, areaKm2, ...region }] of Object.entries(this.REGIONAL_FUEL)) {
+      parameters.REGIONAL_FUEL[id] = region;
+    }
+    return JSON.parse(JSON.stringify(parameters));
+  }
+
+  /**
+   * The engine's current parameters as a complete profile document,
+   * e.g. to archive next to a forecast; loading it into a fresh
+   * engine with the same storm type rules reproduces the parameter hash
+   */
+  exportProfile(name = this.profile.name, version = this.profile.version || 1, description = this.profile.description) {
+    return {
+      format: profiles.PROFILE_FORMAT,
+      name,
+      version,
+      description,
+      parameters: this.getProfileParameters()
     };
   }
 
+  /**
+   * Profile name, model version and parameter hash carried by results
+   * The hash covers every constant (the UPPER_CASE properties, with
+   * regions in profile form), the reference year for bare day-of-year
+   * inputs and the loaded storm type rules.
+   * Cached; profile, parameter file, storm rule and region registry
+   * changes reset it - constants set directly need provenanceCache = null
+   */
+  getProvenance() {
+    if (!this.provenanceCache) {
+      const constants = {};
+      for (const key of Object.keys(this)) {
+        if (/^[A-Z][A-Z0-9_]*$/.test(key)) constants[key] = this[key];
+      }
+      this.provenanceCache = {
+        profile: this.profile.name,
+        profileVersion: this.profile.version,
+        modelVersion: this.MODEL_VERSION,
+        parameterHash: profiles.hashParameters({
+          ...constants,
+          ...this.getProfileParameters(),
+          year: this.year,
+          stormTypes: this.stormRules.specs
+        })
+      };
+    }
+    return { ...this.provenanceCache };
+  }
+
   // ═══════════════════════════════════════════════════════════════
   //                    CORE DSO FACTORS
   // ═══════════════════════════════════════════════════════════════
@@ -75,48 +473,48 @@ class DSOWeatherEngine {
    * Peaks at equinoxes (maximum change), zero at solstices
    * 
    * Mathematical basis: derivative of tilt function
-   * θ(t) = 23.44° × sin(2πt/365)
-   * dθ/dt = 23.44° × (2π/365) × cos(2πt/365)
+   * θ(t) = 23.44° × sin(2πt/T)
+   * dθ/dt = 23.44° × (2π/T) × cos(2πt/T)
    * 
    * Normalized to [0, 1] where 1 = equinox, 0 = solstice
    * 
-   * Phase: Equinoxes at days 80 (Mar 21) and 266 (Sep 23)
-   *        Solstices at days 172 (Jun 21) and 355 (Dec 21)
+   * Phase: anchored to the actual equinox and solstice instants of
+   *        the date's year (see getSeasonInstants), so each quarter
+   *        of the cycle spans the real interval between them.
    */
-  getCatalyst(dayOfYear) {
-    // Shift so solstices are at cos() = 0 (days 172 and 355)
-    // cos(0) = 1, cos(π/2) = 0, cos(π) = -1, cos(3π/2) = 0
-    // We want day 80 → cos(0)=1, day 172 → cos(π/2)=0
-    // So phase = day 80 (spring equinox)
-    const shifted = dayOfYear - this.SPRING_EQUINOX_DOY;
-    const rate = Math.abs(Math.cos((2 * Math.PI * shifted) / this.DAYS_PER_YEAR));
-    return rate;
+  getCatalyst(date) {
+    const t = this.toDate(date).getTime();
+    const { previous, next } = this.getSurroundingSeasonEvents(t);
+    
+    // Fraction of the way from the previous event to the next one
+    const f = (t - previous.time) / (next.time - previous.time);
+    
+    // Equinox → solstice: cos falls 1 → 0; solstice → equinox: sin rises 0 → 1
+    const rate = previous.type === 'equinox'
+      ? Math.cos((Math.PI / 2) * f)
+      : Math.sin((Math.PI / 2) * f);
+    return Math.abs(rate);
   }
 
   /**
    * Get days until next catalyst peak (equinox)
    */
-  getDaysToNextEquinox(dayOfYear) {
-    if (dayOfYear < this.SPRING_EQUINOX_DOY) {
-      return this.SPRING_EQUINOX_DOY - dayOfYear;
-    } else if (dayOfYear < this.FALL_EQUINOX_DOY) {
-      return this.FALL_EQUINOX_DOY - dayOfYear;
-    } else {
-      return (365 - dayOfYear) + this.SPRING_EQUINOX_DOY;
-    }
+  getDaysToNextEquinox(date) {
+    return this.getDaysToNextEvent(date, 'equinox');
   }
 
   /**
    * Get days until next catalyst minimum (solstice)
    */
-  getDaysToNextSolstice(dayOfYear) {
-    if (dayOfYear < this.SUMMER_SOLSTICE_DOY) {
-      return this.SUMMER_SOLSTICE_DOY - dayOfYear;
-    } else if (dayOfYear < this.WINTER_SOLSTICE_DOY) {
-      return this.WINTER_SOLSTICE_DOY - dayOfYear;
-    } else {
-      return (365 - dayOfYear) + this.SUMMER_SOLSTICE_DOY;
-    }
+  getDaysToNextSolstice(date) {
+    return this.getDaysToNextEvent(date, 'solstice');
+  }
+
+  getDaysToNextEvent(date, type) {
+    const t = this.toDate(date).getTime();
+    const event = this.getSeasonEvents(this.toDate(date).getUTCFullYear())
+      .find(e => e.type === type && e.time > t);
+    return Math.ceil((event.time - t) / this.MS_PER_DAY);
   }
 
   /**
@@ -124,13 +522,11 @@ class DSOWeatherEngine {
    * How directly the Sun's energy hits a given latitude
    * Combines latitude with seasonal declination
    */
-  getSolarAngle(lat, dayOfYear) {
+  getSolarAngle(lat, date) {
     const latRad = (lat * Math.PI) / 180;
     
     // Solar declination (angle of Sun relative to equator)
-    const declination = this.EARTH_TILT * Math.sin(
-      (2 * Math.PI * (dayOfYear - 81)) / this.DAYS_PER_YEAR
-    );
+    const declination = this.getSolarPosition(date).declination;
     const decRad = (declination * Math.PI) / 180;
     
     // Solar elevation at solar noon
@@ -139,396 +535,2621 @@ class DSOWeatherEngine {
       Math.cos(latRad) * Math.cos(decRad)
     );
     
-    // Normalize to [0, 1]
-    return Math.max(0, Math.sin(solarElevation));
+    // Normalize to [0, 1]
+    return Math.max(0, Math.sin(solarElevation));
+  }
+
+  /**
+   * Factor 3: E-Fuel
+   * Total energy storage available (Gulf SST, atmospheric moisture)
+   * Climate-adjusted based on warming (see getClimateScenario)
+   */
+  getEFuel(region, climate = 0) {
+    const base = this.REGIONAL_FUEL[region]?.fuel || 0.5;
+    return this.adjustFuel(base, climate, !this.REGIONAL_FUEL[region]?.moistureSource);
+  }
+
+  /**
+   * Factor 4: E-Gradient (∂E/∂φ)
+   * Spatial rate of change of energy (air mass collision intensity)
+   * The "wall" where Gulf warm/moist meets Arctic cold/dry
+   */
+  getGradient(region, climate = 0) {
+    const base = this.REGIONAL_FUEL[region]?.gradient || 0.5;
+    return this.adjustGradient(base, climate);
+  }
+
+  /**
+   * Climate adjustment shared by region and point fuel lookups
+   * Present-day fuel (observed SST above the 1970s baseline), then
+   * scaled by (1 + β₁·ΔT_Gulf) for the scenario, kept within [0, 1].
+   * Both terms are Gulf SST, so fuel from a region's own moisture
+   * source (gulfFed = false) keeps its base value.
+   */
+  adjustFuel(base, climate = 0, gulfFed = true) {
+    if (!gulfFed) return Math.max(0, Math.min(1.0, base));
+    const observed = this.GULF_SST_CURRENT - this.GULF_SST_BASELINE;
+    const present = base * (1 + this.WARMING_COEFFICIENT * observed * this.WARMING_SCALE);
+    return Math.max(0, Math.min(1.0, present * this.getClimateFactors(climate).fuel));
+  }
+
+  /**
+   * Climate adjustment shared by region and point gradient lookups
+   * Arctic amplification reduces gradient: ÷ (1 + β₂·ΔT_Arctic)
+   */
+  adjustGradient(base, climate = 0) {
+    return base / this.getClimateFactors(climate).gradient;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    CLIMATE SCENARIOS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Normalize a climate scenario
+   * 
+   *   D(T) = D₀ × (1 + β₁·ΔT_Gulf) / (1 + β₂·ΔT_Arctic)
+   * 
+   * Accepts { deltaGulf, deltaArctic, beta1, beta2 } (°C above present
+   * day; β default to WARMING_COEFFICIENT / ARCTIC_DAMPING) or a single
+   * number, read as the same warming in the Gulf and the Arctic.
+   * D₀ is the present-day danger. β are applied per °C at
+   * WARMING_SCALE, so β₁ = 1.0 is +10% fuel per °C.
+   */
+  getClimateScenario(climate = 0) {
+    const scenario = typeof climate === 'number'
+      ? { deltaGulf: climate, deltaArctic: climate }
+      : (climate || {});
+    return {
+      deltaGulf: scenario.deltaGulf ?? 0,
+      deltaArctic: scenario.deltaArctic ?? 0,
+      beta1: scenario.beta1 ?? this.WARMING_COEFFICIENT,
+      beta2: scenario.beta2 ?? this.ARCTIC_DAMPING
+    };
+  }
+
+  /**
+   * Check a climate scenario
+   * Returns an error message, or null when it is usable
+   */
+  getClimateError(climate = 0) {
+    if (climate !== null && typeof climate !== 'number' && typeof climate !== 'object') {
+      return `Invalid climate scenario: ${climate}`;
+    }
+    const scenario = this.getClimateScenario(climate);
+    for (const [key, value] of Object.entries(scenario)) {
+      if (!Number.isFinite(value)) return `Invalid climate scenario: ${key} = ${value}`;
+    }
+    const factors = this.getClimateFactors(climate);
+    if (factors.fuel < 0) {
+      return 'Invalid climate scenario: 1 + β₁·ΔT_Gulf must not be negative';
+    }
+    if (factors.gradient <= 0) {
+      return 'Invalid climate scenario: 1 + β₂·ΔT_Arctic must be positive';
+    }
+    return null;
+  }
+
+  /**
+   * Fuel and gradient terms of the scenario:
+   * (1 + β₁·ΔT_Gulf) and (1 + β₂·ΔT_Arctic) at WARMING_SCALE per °C
+   */
+  getClimateFactors(climate = 0) {
+    const { deltaGulf, deltaArctic, beta1, beta2 } = this.getClimateScenario(climate);
+    return {
+      fuel: 1 + beta1 * deltaGulf * this.WARMING_SCALE,
+      gradient: 1 + beta2 * deltaArctic * this.WARMING_SCALE
+    };
+  }
+
+  /**
+   * Published climate multiplier D(T) / D₀
+   * Exact while fuel stays below saturation (fuel is capped at 1)
+   */
+  getClimateMultiplier(climate = 0) {
+    const { fuel, gradient } = this.getClimateFactors(climate);
+    return fuel / gradient;
+  }
+
+  /**
+   * Scenario summary attached to inference results
+   */
+  describeClimate(climate = 0) {
+    return {
+      ...this.getClimateScenario(climate),
+      dangerMultiplier: this.getClimateMultiplier(climate)
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    CALENDAR & SOLAR POSITION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Normalize a date argument
+   * Accepts a Date, an ISO string ('2025-04-15' is read as noon UTC)
+   * or a day-of-year number (1-366) in this.year
+   */
+  toDate(date) {
+    if (date instanceof Date) return new Date(date.getTime());
+    if (typeof date === 'number') {
+      return new Date(Date.UTC(this.year, 0, date, 12));
+    }
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      const [y, m, d] = date.split('-').map(Number);
+      return new Date(Date.UTC(y, m - 1, d, 12));
+    }
+    return new Date(date);
+  }
+
+  isValidDate(date) {
+    return date !== undefined && date !== null && !isNaN(this.toDate(date).getTime());
+  }
+
+  getDayOfYear(date) {
+    const d = this.toDate(date);
+    return Math.floor((d.getTime() - Date.UTC(d.getUTCFullYear(), 0, 0)) / this.MS_PER_DAY);
+  }
+
+  getDaysInYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+  }
+
+  getJulianDay(date) {
+    return this.toDate(date).getTime() / this.MS_PER_DAY + this.JD_UNIX_EPOCH;
+  }
+
+  /**
+   * Equinox and solstice instants for a year
+   * Meeus, Astronomical Algorithms (2nd ed.), ch. 27 - valid 1000-3000 AD.
+   * Instants are in Dynamical Time (about a minute ahead of UTC),
+   * far below the daily resolution of the model.
+   */
+  getSeasonInstants(year) {
+    if (this.seasonCache.has(year)) return this.seasonCache.get(year);
+    
+    const Y = (year - 2000) / 1000;
+    const mean = {
+      marchEquinox:     2451623.80984 + 365242.37404 * Y + 0.05169 * Y * Y - 0.00411 * Y ** 3 - 0.00057 * Y ** 4,
+      juneSolstice:     2451716.56767 + 365241.62603 * Y + 0.00325 * Y * Y + 0.00888 * Y ** 3 - 0.00030 * Y ** 4,
+      septemberEquinox: 2451810.21715 + 365242.01767 * Y - 0.11575 * Y * Y + 0.00337 * Y ** 3 + 0.00078 * Y ** 4,
+      decemberSolstice: 2451900.05952 + 365242.74049 * Y - 0.06223 * Y * Y - 0.00823 * Y ** 3 + 0.00032 * Y ** 4
+    };
+    
+    // Periodic terms [A, B, C] (Meeus table 27.C)
+    const terms = [
+      [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186],
+      [182, 27.85, 445267.112], [156, 73.14, 45036.886], [136, 171.52, 22518.443],
+      [77, 222.54, 65928.934], [74, 296.72, 3034.906], [70, 243.58, 9037.513],
+      [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.226],
+      [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417],
+      [18, 155.12, 67555.328], [17, 288.79, 4562.452], [16, 198.04, 62894.029],
+      [14, 199.76, 31436.921], [12, 95.39, 14577.848], [12, 287.11, 31931.756],
+      [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074]
+    ];
+    const toRad = Math.PI / 180;
+    
+    const instants = {};
+    for (const [name, jde0] of Object.entries(mean)) {
+      const T = (jde0 - this.JD_J2000) / 36525;
+      const W = (35999.373 * T - 2.47) * toRad;
+      const dLambda = 1 + 0.0334 * Math.cos(W) + 0.0007 * Math.cos(2 * W);
+      const S = terms.reduce((sum, [A, B, C]) => sum + A * Math.cos((B + C * T) * toRad), 0);
+      const jde = jde0 + (0.00001 * S) / dLambda;
+      instants[name] = new Date((jde - this.JD_UNIX_EPOCH) * this.MS_PER_DAY);
+    }
+    
+    this.seasonCache.set(year, instants);
+    return instants;
+  }
+
+  /**
+   * Equinox/solstice events from the previous December through the
+   * next March, in time order (enough to bracket any date in `year`)
+   */
+  getSeasonEvents(year) {
+    const prev = this.getSeasonInstants(year - 1);
+    const curr = this.getSeasonInstants(year);
+    const next = this.getSeasonInstants(year + 1);
+    return [
+      { name: 'decemberSolstice', type: 'solstice', time: prev.decemberSolstice.getTime() },
+      { name: 'marchEquinox', type: 'equinox', time: curr.marchEquinox.getTime() },
+      { name: 'juneSolstice', type: 'solstice', time: curr.juneSolstice.getTime() },
+      { name: 'septemberEquinox', type: 'equinox', time: curr.septemberEquinox.getTime() },
+      { name: 'decemberSolstice', type: 'solstice', time: curr.decemberSolstice.getTime() },
+      { name: 'marchEquinox', type: 'equinox', time: next.marchEquinox.getTime() },
+      { name: 'juneSolstice', type: 'solstice', time: next.juneSolstice.getTime() }
+    ];
+  }
+
+  getSurroundingSeasonEvents(time) {
+    const events = this.getSeasonEvents(new Date(time).getUTCFullYear());
+    const i = events.findIndex(e => e.time > time);
+    return { previous: events[i - 1], next: events[i] };
+  }
+
+  getHemisphere(lat) {
+    return lat < 0 ? 'south' : 'north';
+  }
+
+  /**
+   * Astronomical season at a latitude: 'spring' | 'summer' | 'autumn' | 'winter'
+   * (the March equinox starts spring in the north, autumn in the south)
+   */
+  getSeasonName(lat, date) {
+    const { previous } = this.getSurroundingSeasonEvents(this.toDate(date).getTime());
+    return this.SEASON_NAMES[this.getHemisphere(lat)][previous.name];
+  }
+
+  /**
+   * Local name of an equinox/solstice, e.g. 'autumn equinox' for
+   * marchEquinox south of the equator
+   */
+  getSeasonEventLabel(name, lat) {
+    const season = this.SEASON_NAMES[this.getHemisphere(lat)][name];
+    return `${season} ${name.endsWith('Equinox') ? 'equinox' : 'solstice'}`;
+  }
+
+  /**
+   * Where the catalyst is in its cycle, in local season terms
+   * It falls from each equinox toward the next solstice and rises
+   * from each solstice toward the next equinox.
+   */
+  getCatalystPhase(lat, date) {
+    const { previous, next } = this.getSurroundingSeasonEvents(this.toDate(date).getTime());
+    const since = this.getSeasonEventLabel(previous.name, lat);
+    const event = (e) => ({
+      name: e.name,
+      label: this.getSeasonEventLabel(e.name, lat),
+      date: this.toISODate(new Date(e.time))
+    });
+    return {
+      hemisphere: this.getHemisphere(lat),
+      season: this.SEASON_NAMES[this.getHemisphere(lat)][previous.name],
+      trend: previous.type === 'equinox' ? 'declining' : 'rising',
+      label: `Post-${since} (${previous.type === 'equinox' ? 'declining' : 'rising'})`,
+      previousEvent: event(previous),
+      nextEvent: event(next)
+    };
+  }
+
+  /**
+   * Solar declination (degrees) and equation of time (minutes)
+   * NOAA solar position algorithm (after Meeus), accurate to well
+   * under 0.1° for dates between 1800 and 2100
+   */
+  getSolarPosition(date) {
+    const toRad = Math.PI / 180;
+    const jc = (this.getJulianDay(date) - this.JD_J2000) / 36525;
+    
+    const meanLong = (280.46646 + jc * (36000.76983 + jc * 0.0003032)) % 360;
+    const meanAnomaly = 357.52911 + jc * (35999.05029 - 0.0001537 * jc);
+    const eccentricity = 0.016708634 - jc * (0.000042037 + 0.0000001267 * jc);
+    const m = meanAnomaly * toRad;
+    const center = Math.sin(m) * (1.914602 - jc * (0.004817 + 0.000014 * jc)) +
+      Math.sin(2 * m) * (0.019993 - 0.000101 * jc) +
+      Math.sin(3 * m) * 0.000289;
+    
+    const omega = (125.04 - 1934.136 * jc) * toRad;
+    const apparentLong = (meanLong + center - 0.00569 - 0.00478 * Math.sin(omega)) * toRad;
+    const meanObliquity = 23 + (26 + (21.448 - jc * (46.815 + jc * (0.00059 - jc * 0.001813))) / 60) / 60;
+    const obliquity = (meanObliquity + 0.00256 * Math.cos(omega)) * toRad;
+    
+    const declination = Math.asin(Math.sin(obliquity) * Math.sin(apparentLong)) / toRad;
+    
+    const y = Math.tan(obliquity / 2) ** 2;
+    const l0 = meanLong * toRad;
+    const equationOfTime = 4 / toRad * (
+      y * Math.sin(2 * l0) -
+      2 * eccentricity * Math.sin(m) +
+      4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0) -
+      0.5 * y * y * Math.sin(4 * l0) -
+      1.25 * eccentricity * eccentricity * Math.sin(2 * m)
+    );
+    
+    return { declination, equationOfTime };
+  }
+
+  /**
+   * True solar elevation (degrees) at an instant and place
+   * Uses the hour angle, so it varies through the day - unlike
+   * getSolarAngle(), which is fixed at solar noon.
+   */
+  getSolarElevation(lat, lon, date) {
+    const toRad = Math.PI / 180;
+    const when = this.toDate(date);
+    const { declination, equationOfTime } = this.getSolarPosition(when);
+    
+    const utcMinutes = when.getUTCHours() * 60 + when.getUTCMinutes() + when.getUTCSeconds() / 60;
+    const trueSolarMinutes = utcMinutes + equationOfTime + 4 * lon;
+    const hourAngle = (trueSolarMinutes / 4 - 180) * toRad;
+    
+    const latRad = lat * toRad;
+    const decRad = declination * toRad;
+    const cosZenith = Math.sin(latRad) * Math.sin(decRad) +
+      Math.cos(latRad) * Math.cos(decRad) * Math.cos(hourAngle);
+    
+    return 90 - Math.acos(Math.max(-1, Math.min(1, cosZenith))) / toRad;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    CONTINUOUS E-FIELD
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Great-circle distance between two points (haversine), in km
+   */
+  getDistanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * this.EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Source-distance model of the E-field
+   * Fuel decays with distance from the moisture source;
+   * gradient peaks in the collision band where Gulf air meets Arctic air
+   */
+  getSourceField(lat, lon, source = this.MOISTURE_SOURCE) {
+    const distance = this.getDistanceKm(lat, lon, source.lat, source.lon);
+
+    const fuel = Math.min(1.0, Math.exp(
+      -Math.max(0, distance - this.FUEL_SOURCE_OFFSET_KM) / this.FUEL_DECAY_KM
+    ));
+    const band = (distance - this.GRADIENT_PEAK_KM) / this.GRADIENT_WIDTH_KM;
+    const gradient = this.GRADIENT_FLOOR + (1 - this.GRADIENT_FLOOR) * Math.exp(-band * band);
+
+    return { fuel, gradient, sourceDistanceKm: distance };
+  }
+
+  /**
+   * Base (climate-neutral) fuel and gradient at an arbitrary point
+   *
+   * Inverse-distance interpolation between the regional anchors,
+   * blended toward the source-distance model as the point moves
+   * away from every anchor. At an anchor the regional values are
+   * reproduced exactly, and so is anywhere inside a region's
+   * registered boundary. The source model uses the nearest region's
+   * moisture source, if it has one, and only anchors fed by that same
+   * source are interpolated (so the Pampas never borrow from Kansas).
+   */
+  getFieldAt(lat, lon) {
+    const containing = this.findRegion(lat, lon);
+    if (containing) {
+      const region = this.REGIONAL_FUEL[containing];
+      return {
+        fuel: region.fuel,
+        gradient: region.gradient,
+        nearestRegion: containing,
+        nearestDistanceKm: this.getDistanceKm(lat, lon, region.lat, region.lon),
+        anchorWeight: 1,
+        sourceDistanceKm: this.getSourceField(lat, lon, region.moistureSource || this.MOISTURE_SOURCE).sourceDistanceKm,
+        gulfFed: !region.moistureSource,
+        containingRegion: containing
+      };
+    }
+    
+    let nearest = null;
+    let nearestDistance = Infinity;
+    const distances = {};
+    for (const [key, region] of Object.entries(this.REGIONAL_FUEL)) {
+      distances[key] = this.getDistanceKm(lat, lon, region.lat, region.lon);
+      if (distances[key] < nearestDistance) {
+        nearestDistance = distances[key];
+        nearest = key;
+      }
+    }
+    
+    let weightSum = 0;
+    let fuelSum = 0;
+    let gradientSum = 0;
+    const sourceKey = nearest && this.getSourceKey(this.REGIONAL_FUEL[nearest]);
+    for (const [key, region] of Object.entries(this.REGIONAL_FUEL)) {
+      if (this.getSourceKey(region) !== sourceKey) continue;
+      const weight = 1 / Math.pow(Math.max(distances[key], 1), this.IDW_POWER);
+      weightSum += weight;
+      fuelSum += weight * region.fuel;
+      gradientSum += weight * region.gradient;
+    }
+
+    const source = this.getSourceField(
+      lat, lon, (nearest && this.REGIONAL_FUEL[nearest].moistureSource) || this.MOISTURE_SOURCE
+    );
+    if (!nearest) {
+      return { ...source, nearestRegion: null, nearestDistanceKm: null, anchorWeight: 0, gulfFed: true, containingRegion: null };
+    }
+    const anchorWeight = Math.exp(-Math.pow(nearestDistance / this.ANCHOR_RADIUS_KM, 2));
+
+    return {
+      fuel: anchorWeight * (fuelSum / weightSum) + (1 - anchorWeight) * source.fuel,
+      gradient: anchorWeight * (gradientSum / weightSum) + (1 - anchorWeight) * source.gradient,
+      nearestRegion: nearest,
+      nearestDistanceKm: nearestDistance,
+      anchorWeight,
+      sourceDistanceKm: source.sourceDistanceKm,
+      gulfFed: !this.REGIONAL_FUEL[nearest].moistureSource,
+      containingRegion: null
+    };
+  }
+
+  /**
+   * Identity of the moisture source feeding a region
+   */
+  getSourceKey(region) {
+    const source = region.moistureSource || this.MOISTURE_SOURCE;
+    return `${source.lat},${source.lon}`;
+  }
+
+  /**
+   * Factor 3 at a point (climate-adjusted)
+   */
+  getEFuelAt(lat, lon, climate = 0) {
+    const field = this.getFieldAt(lat, lon);
+    return this.adjustFuel(field.fuel, climate, field.gulfFed);
+  }
+
+  /**
+   * Factor 4 at a point (climate-adjusted)
+   */
+  getGradientAt(lat, lon, climate = 0) {
+    return this.adjustGradient(this.getFieldAt(lat, lon).gradient, climate);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    REGION REGISTRY
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Add a region at runtime
+   * 
+   * spec: {
+   *   name, fuel, gradient,          // fuel/gradient on the 0-1 scale
+   *   geometry,                      // GeoJSON Polygon/MultiPolygon/Feature (optional)
+   *   lat, lon,                      // anchor (default: geometry centroid)
+   *   moistureSource: { lat, lon, name }   // optional, default MOISTURE_SOURCE
+   * }
+   * 
+   * Returns the stored region, or { error }
+   */
+  registerRegion(id, spec = {}) {
+    if (typeof id !== 'string' || !/^[a-z0-9_]+$/i.test(id)) {
+      return { error: `Invalid region id: ${id}` };
+    }
+    if (this.REGIONAL_FUEL[id]) {
+      return { error: `Region already exists: ${id} (use updateRegion)` };
+    }
+    return this.storeRegion(id, spec);
+  }
+
+  /**
+   * Change some fields of an existing region
+   * (geometry: null drops the boundary)
+   */
+  updateRegion(id, changes = {}) {
+    const current = this.REGIONAL_FUEL[id];
+    if (!current) {
+      return { error: `Unknown region: ${id}` };
+    }
+    const { bbox, areaKm2, ...spec } = current;
+    // A new boundary moves the default anchor with it
+    if (changes.geometry && changes.lat === undefined && changes.lon === undefined && spec.geometry) {
+      delete spec.lat;
+      delete spec.lon;
+    }
+    return this.storeRegion(id, { ...spec, ...changes });
+  }
+
+  /**
+   * Remove a region
+   */
+  removeRegion(id) {
+    if (!this.REGIONAL_FUEL[id]) {
+      return { error: `Unknown region: ${id}` };
+    }
+    delete this.REGIONAL_FUEL[id];
+    this.provenanceCache = null;
+    return { removed: id };
+  }
+
+  /**
+   * Validate a region spec and store it under `id`
+   */
+  storeRegion(id, spec) {
+    const { name, fuel, gradient, moistureSource } = spec;
+    if (!Number.isFinite(fuel) || fuel < 0 || fuel > 1) {
+      return { error: `Invalid fuel for ${id}: ${fuel} (expected 0-1)` };
+    }
+    if (!Number.isFinite(gradient) || gradient < 0 || gradient > 1) {
+      return { error: `Invalid gradient for ${id}: ${gradient} (expected 0-1)` };
+    }
+    if (moistureSource && (!Number.isFinite(moistureSource.lat) || !Number.isFinite(moistureSource.lon))) {
+      return { error: `Invalid moisture source for ${id}` };
+    }
+    
+    let geometry = null;
+    if (spec.geometry) {
+      try {
+        geometry = geo.toMultiPolygon(spec.geometry);
+      } catch (error) {
+        return { error: `Invalid geometry for ${id}: ${error.message}` };
+      }
+    }
+    
+    const centroid = geometry ? geo.getCentroid(geometry) : null;
+    const lat = spec.lat ?? centroid?.lat;
+    const lon = spec.lon ?? centroid?.lon;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: `Region ${id} needs a valid lat/lon or a geometry` };
+    }
+    
+    const region = { lat, lon, fuel, gradient, name: name || id };
+    if (moistureSource) {
+      region.moistureSource = { name: moistureSource.name || 'Custom', lat: moistureSource.lat, lon: moistureSource.lon };
+    }
+    if (geometry) {
+      region.geometry = geometry;
+      region.bbox = geo.getBoundingBox(geometry);
+      region.areaKm2 = geo.getAreaKm2(geometry);
+    }
+    this.REGIONAL_FUEL[id] = region;
+    this.provenanceCache = null;
+    return { id, ...region };
+  }
+
+  /**
+   * Region summary list (geometry omitted)
+   */
+  listRegions() {
+    return Object.entries(this.REGIONAL_FUEL).map(([id, r]) => ({
+      id,
+      name: r.name,
+      lat: r.lat,
+      lon: r.lon,
+      fuel: r.fuel,
+      gradient: r.gradient,
+      hasBoundary: Boolean(r.geometry),
+      areaKm2: r.areaKm2 ?? null
+    }));
+  }
+
+  /**
+   * Point lookup: the region whose boundary contains lat/lon
+   * (the smallest one where boundaries overlap), or null
+   */
+  findRegion(lat, lon) {
+    let best = null;
+    let bestArea = Infinity;
+    for (const [id, region] of Object.entries(this.REGIONAL_FUEL)) {
+      if (!region.geometry) continue;
+      const [minLon, minLat, maxLon, maxLat] = region.bbox;
+      if (lon < minLon || lon > maxLon || lat < minLat || lat > maxLat) continue;
+      if (region.areaKm2 < bestArea && geo.pointInGeometry(lat, lon, region.geometry)) {
+        best = id;
+        bestArea = region.areaKm2;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Combined Solar Punch
+   * Product of solar angle and catalyst - the "E-punch" factor
+   */
+  getSolarPunch(lat, date) {
+    return this.getSolarAngle(lat, date) * this.getCatalyst(date);
+  }
+
+  /**
+   * Metabolic State / Inversion Detection
+   * 
+   * The INVERSION occurs when:
+   * - Solar angle is LOW (winter/high latitude, weak vertical heating)
+   * - Catalyst is HIGH (near equinox, strong tilt rate)
+   * 
+   * Result: Energy cannot discharge vertically (no convection)
+   *         Instead discharges HORIZONTALLY (surface kinetic)
+   *         
+   * This produces BOMB CYCLONES - rapid surface pressure drops
+   * driven by horizontal temperature gradients, not convection.
+   * 
+   * Key insight: The threshold depends on the RATIO of catalyst to solar.
+   * When catalyst dominates solar angle, you get horizontal discharge.
+   * 
+   * Every mode gets a membership (see getModeMemberships); the mode
+   * is the most likely one. Pass the previous day's mode as
+   * `previous` to keep it until another mode leads by more than
+   * `hysteresis` (see getMetabolicSeries).
+   */
+  getMetabolicState(lat, date, gradient, previous = null, hysteresis = this.MODE_HYSTERESIS) {
+    const alpha = this.getSolarAngle(lat, date);  // Pure solar, no catalyst
+    const catalyst = this.getCatalyst(date);       // dθ/dt
+    
+    // The INVERSION RATIO: catalyst / (alpha + 0.1)
+    // When this ratio > 1.2, the system "inverts" to horizontal mode
+    const inversionRatio = catalyst / (alpha + 0.1);
+    
+    const memberships = this.getModeMemberships({ inversionRatio, catalyst, solarAngle: alpha });
+    const likeliest = Object.keys(memberships).reduce((a, b) => (memberships[b] > memberships[a] ? b : a));
+    const held = previous !== null && previous in memberships &&
+      previous !== likeliest && memberships[likeliest] - memberships[previous] <= hysteresis;
+    const mode = held ? previous : likeliest;
+    
+    return {
+      ...this.describeMetabolicMode(mode, alpha, catalyst, gradient, inversionRatio),
+      memberships,
+      ...(previous !== null && { held })
+    };
+  }
+
+  /**
+   * Probability of each metabolic mode
+   * The first mode in METABOLIC_MODES whose conditions all hold wins,
+   * TRANSITION if none do. Each cutoff is blurred into a logistic of
+   * width MODE_SOFTNESS, so a membership is the chance that mode is
+   * picked - near 0 or 1 away from the cutoffs, smooth across them.
+   * Memberships sum to 1.
+   */
+  getModeMemberships(values) {
+    const memberships = {};
+    let remaining = 1;   // Chance no earlier mode was picked
+    for (const { mode, when } of this.METABOLIC_MODES) {
+      const holds = when.reduce((p, [name, op, cutoff]) => {
+        const z = (values[name] - cutoff) / this.MODE_SOFTNESS[name];
+        return p / (1 + Math.exp(op === '>' ? -z : z));
+      }, 1);
+      memberships[mode] = remaining * holds;
+      remaining -= memberships[mode];
+    }
+    memberships.TRANSITION = remaining;
+    return memberships;
+  }
+
+  /**
+   * Metabolic state for consecutive dates with hysteresis: each day
+   * keeps the previous day's mode unless another leads it by more
+   * than `hysteresis` (0 = plain daily argmax)
+   */
+  getMetabolicSeries(lat, dates, gradient, hysteresis = this.MODE_HYSTERESIS) {
+    const states = [];
+    let previous = null;
+    for (const date of dates) {
+      const state = this.getMetabolicState(lat, date, gradient, previous, hysteresis);
+      states.push(state);
+      previous = state.mode;
+    }
+    return states;
+  }
+
+  /**
+   * Continuous bomb cyclone severity on 0-3
+   * Linear between the BOMB_SEVERITY_EDGES potentials; the integer
+   * part indexes BOMB_SEVERITY_LABELS (MODERATE, STRONG, EXTREME)
+   */
+  getBombSeverity(potential) {
+    const edges = this.BOMB_SEVERITY_EDGES;
+    const top = edges.length - 1;
+    let score = top;
+    for (let i = 0; i < top; i++) {
+      if (potential < edges[i + 1]) {
+        score = i + Math.max(0, potential - edges[i]) / (edges[i + 1] - edges[i]);
+        break;
+      }
+    }
+    return {
+      score,
+      label: this.BOMB_SEVERITY_LABELS[Math.min(top - 1, Math.floor(score))]
+    };
+  }
+
+  /**
+   * Result body for one metabolic mode
+   */
+  describeMetabolicMode(mode, alpha, catalyst, gradient, inversionRatio) {
+    switch (mode) {
+      // INVERSION MODE: Catalyst dominates over solar
+      // Occurs when: high catalyst, moderate-to-low solar
+      // Real-world: late autumn and late winter at mid-high latitudes
+      // (Oct-Nov / Feb-early Mar in the north, Apr-May / Aug-early Sep in the south)
+      case 'INVERSION': {
+        const potential = gradient * catalyst * (1 - alpha);
+        const severity = this.getBombSeverity(potential);
+        return {
+          mode: 'INVERSION',
+          type: 'BOMB_CYCLONE',
+          potential: potential,
+          inversionRatio: inversionRatio,
+          behavior: 'Surface-Level Kinetic',
+          severity: severity.label,
+          severityScore: severity.score,
+          mechanism: 'Catalyst/Solar ratio > 1.2 → Horizontal discharge',
+          conditions: {
+            solarAngle: alpha,
+            catalyst: catalyst,
+            gradient: gradient,
+            ratio: inversionRatio
+          }
+        };
+      }
+      
+      // STANDARD MODE: Solar dominates, adequate for vertical discharge
+      case 'STANDARD':
+        return {
+          mode: 'STANDARD',
+          type: 'CONVECTIVE',
+          potential: alpha * catalyst * gradient,
+          inversionRatio: inversionRatio,
+          behavior: 'Vertical Discharge',
+          mechanism: 'Solar dominates → Convective storms'
+        };
+      
+      // SUMMER MODE: High sun, low catalyst - disorganized
+      case 'SUPPRESSED':
+        return {
+          mode: 'SUPPRESSED',
+          type: 'POP_UP',
+          potential: alpha * gradient * 0.3,
+          inversionRatio: inversionRatio,
+          behavior: 'Isolated Convection',
+          mechanism: 'High α but no catalyst → Disorganized'
+        };
+      
+      // WINTER MODE: Low sun, low catalyst (stable)
+      case 'DORMANT':
+        return {
+          mode: 'DORMANT',
+          type: 'STABLE',
+          potential: 0.1,
+          inversionRatio: inversionRatio,
+          behavior: 'Minimal Activity',
+          mechanism: 'Low α + Low catalyst → Stable'
+        };
+      
+      // TRANSITION: Mixed conditions
+      default:
+        return {
+          mode: 'TRANSITION',
+          type: 'MIXED',
+          potential: alpha * catalyst * gradient,
+          inversionRatio: inversionRatio,
+          behavior: 'Variable',
+          mechanism: 'Transitional state'
+        };
+    }
+  }
+
+  /**
+   * Get all storm modes for a given day
+   * Shows both convective potential AND inversion potential
+   * `inputs` are the optional observations taken by classifyStorm()
+   */
+  getFullForecast(region, date, climate = 0, inputs = {}) {
+    const regionData = this.REGIONAL_FUEL[region];
+    if (!regionData) return { error: `Unknown region: ${region}` };
+    if (!this.isValidDate(date)) return { error: `Invalid date: ${date}` };
+    const inputError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (inputError) return { error: inputError };
+    
+    const fuel = this.getEFuel(region, climate);
+    const gradient = this.getGradient(region, climate);
+    return {
+      region,
+      ...this.buildFullForecast(regionData.lat, fuel, gradient, date, climate, inputs)
+    };
+  }
+
+  /**
+   * getFullForecast() for any latitude/longitude
+   */
+  getFullForecastAt(lat, lon, date, climate = 0, inputs = {}) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: `Invalid coordinates: ${lat}, ${lon}` };
+    }
+    if (!this.isValidDate(date)) return { error: `Invalid date: ${date}` };
+    const inputError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (inputError) return { error: inputError };
+    
+    const field = this.getFieldAt(lat, lon);
+    return {
+      region: null,
+      longitude: lon,
+      nearestRegion: field.nearestRegion,
+      ...this.buildFullForecast(
+        lat, this.adjustFuel(field.fuel, climate, field.gulfFed), this.adjustGradient(field.gradient, climate), date, climate, inputs
+      )
+    };
+  }
+
+  /**
+   * Shared body for getFullForecast() and getFullForecastAt()
+   */
+  buildFullForecast(lat, fuel, gradient, date, climate, inputs = {}) {
+    const catalyst = this.getCatalyst(date);
+    const solarAngle = this.getSolarAngle(lat, date);
+    
+    // Standard classification
+    const standard = this.classifyStorm(fuel, gradient, catalyst, solarAngle, lat, inputs);
+    
+    // Inversion check
+    const metabolic = this.getMetabolicState(lat, date, gradient);
+    
+    return {
+      date: this.formatDate(date),
+      isoDate: this.toISODate(date),
+      latitude: lat,
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
+      season: this.getCatalystPhase(lat, date),
+      
+      factors: {
+        fuel,
+        gradient,
+        catalyst,
+        solarAngle
+      },
+      
+      // Standard convective forecast
+      convective: {
+        prediction: standard.primary,
+        danger: standard.indices.danger,
+        volatility: standard.indices.volatility
+      },
+      
+      // Inversion / Bomb Cyclone forecast
+      inversion: metabolic,
+      
+      // Which mode dominates?
+      dominantMode: metabolic.mode === 'INVERSION' ? 'INVERSION' : 'CONVECTIVE',
+      
+      // Combined threat assessment
+      primaryThreat: metabolic.mode === 'INVERSION' && metabolic.potential > standard.indices.danger
+        ? metabolic.type
+        : standard.primary.type
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    OBSERVATION FUSION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Point inference with live observations blended into the factors
+   * 
+   * observations: {
+   *   fuel:     { value, weight },   // live E_fuel (0-1), weight 0-1
+   *   gradient: { value, weight },   // live gradient (0-1), weight 0-1
+   *   boundaryTemp                   // surface °C, used as inputs.boundaryTemp
+   * }
+   * Each weight is the share of the live value in the fused factor
+   * (typically the fraction of its data sources that reported); a
+   * missing observation keeps the model value. Live values are taken
+   * as observed, so `climate` only adjusts the model side.
+   * 
+   * Returns the inferAt() result plus `fusion` (model, live, weight
+   * and fused value per factor) and the inversion state.
+   */
+  inferFused(lat, lon, date, observations = {}, climate = 0, inputs = {}) {
+    const fusionError = this.getObservationError(observations);
+    if (fusionError) {
+      return { error: fusionError };
+    }
+    const fusedInputs = { ...inputs };
+    if (inputs.boundaryTemp === undefined && Number.isFinite(observations.boundaryTemp)) {
+      fusedInputs.boundaryTemp = observations.boundaryTemp;
+    }
+    
+    const model = this.inferAt(lat, lon, date, climate, fusedInputs);
+    if (model.error) return model;
+    
+    const blend = (factor) => {
+      const modelValue = model.factors[factor].value;
+      const observed = observations[factor];
+      if (!observed || observed.value === null || observed.value === undefined) {
+        return { model: modelValue, live: null, weight: 0, value: modelValue };
+      }
+      const weight = observed.weight ?? 1;
+      return {
+        model: modelValue,
+        live: observed.value,
+        weight,
+        value: weight * observed.value + (1 - weight) * modelValue
+      };
+    };
+    const fuel = blend('fuel');
+    const gradient = blend('gradient');
+    
+    return {
+      ...model,
+      ...this.buildInference(lat, fuel.value, gradient.value, date, climate, fusedInputs),
+      fusion: {
+        fuel,
+        gradient,
+        boundaryTemp: fusedInputs.boundaryTemp ?? null,
+        liveWeight: (fuel.weight + gradient.weight) / 2
+      },
+      inversion: this.getMetabolicState(lat, this.toDate(date), gradient.value)
+    };
+  }
+
+  /**
+   * Check inferFused() observations
+   * Returns an error message, or null when they are usable
+   */
+  getObservationError(observations) {
+    if (!observations || typeof observations !== 'object') {
+      return 'Observations must be an object';
+    }
+    for (const factor of ['fuel', 'gradient']) {
+      const observed = observations[factor];
+      if (observed === undefined || observed === null) continue;
+      const { value, weight = 1 } = observed;
+      if (value === null || value === undefined) continue;
+      if (!(Number.isFinite(value) && value >= 0 && value <= 1)) {
+        return `Invalid observed ${factor}: ${value} (expected 0-1)`;
+      }
+      if (!(Number.isFinite(weight) && weight >= 0 && weight <= 1)) {
+        return `Invalid ${factor} weight: ${weight} (expected 0-1)`;
+      }
+    }
+    const { boundaryTemp } = observations;
+    if (boundaryTemp !== undefined && boundaryTemp !== null && !Number.isFinite(boundaryTemp)) {
+      return `Invalid observed boundary temperature: ${boundaryTemp}`;
+    }
+    return null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    PROBABILITY MODELS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Public danger level label (see DANGER_LEVELS)
+   */
+  getDangerLevel(danger) {
+    let level = this.DANGER_LEVELS[0].label;
+    for (const { label, min } of this.DANGER_LEVELS) {
+      if (danger >= min) level = label;
+    }
+    return level;
+  }
+
+  /**
+   * Storm Probability (will a storm occur?)
+   * P = E_fuel × |dθ/dt| × sin(α)
+   */
+  getProbability(fuel, catalyst, solarAngle) {
+    return fuel * catalyst * solarAngle;
+  }
+
+  /**
+   * Storm Volatility (how violent if it occurs?)
+   * V = (∂E/∂φ) × |dθ/dt| × sin(α)
+   */
+  getVolatility(gradient, catalyst, solarAngle) {
+    return gradient * catalyst * solarAngle;
+  }
+
+  /**
+   * Danger Index (combined metric)
+   * D = P × V = E_fuel × (∂E/∂φ) × (dθ/dt)² × sin²(α)
+   */
+  getDangerIndex(fuel, gradient, catalyst, solarAngle) {
+    return fuel * gradient * Math.pow(catalyst, 2) * Math.pow(solarAngle, 2);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    STORM TYPE CLASSIFICATION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Classify storm type based on DSO factors
+   * Different combinations produce different phenomena
+   * 
+   * The storm types, their formulas and cutoffs come from the rule
+   * set (see loadStormTypes); cutoffs are read from this.THRESHOLDS.
+   * 
+   * inputs.duration     - τ, persistence of conditions [0, 1]
+   * inputs.boundaryTemp - boundary-layer temperature (°C)
+   * HURRICANE needs an observed τ and ICE_STORM a boundary temperature.
+   */
+  classifyStorm(fuel, gradient, catalyst, solarAngle, lat, inputs = {}) {
+    const variables = this.getRuleVariables(fuel, gradient, catalyst, solarAngle, lat, inputs);
+    const { probability, volatility, danger } = variables;
+    
+    const results = this.stormRules.evaluate(variables, this.THRESHOLDS, inputs).map(
+      ({ severityScale, rule, ...result }) => (severityScale === 'enhanced_fujita'
+        ? { ...result, severity: this.getTornadoScale(volatility) }
+        : result)
+    );
+    
+    // Sort by probability
+    results.sort((a, b) => b.probability - a.probability);
+    
+    return {
+      primary: results[0] || { type: 'STABLE', probability: 0 },
+      secondary: results[1] || null,
+      all: results,
+      factors: { fuel, gradient, catalyst, solarAngle },
+      indices: { probability, volatility, danger }
+    };
+  }
+
+  /**
+   * Variables the storm type rules are evaluated against
+   */
+  getRuleVariables(fuel, gradient, catalyst, solarAngle, lat, inputs = {}) {
+    return {
+      fuel, gradient, catalyst, solarAngle,
+      probability: this.getProbability(fuel, catalyst, solarAngle),
+      volatility: this.getVolatility(gradient, catalyst, solarAngle),
+      danger: this.getDangerIndex(fuel, gradient, catalyst, solarAngle),
+      latitude: lat,
+      // τ (persistence): with no observed duration, conditions persist
+      // as long as the tilt rate is low (rules may fix their own value
+      // instead, see `unobserved` in stormRules.js)
+      duration: inputs.duration ?? 1 - catalyst,
+      latitudeFactor: this.getLatitudeFactor(lat),
+      boundaryFactor: this.getBoundaryFactor(inputs.boundaryTemp),
+      terrainDrainage: 1
+    };
+  }
+
+  /**
+   * Hurricane latitude factor f(latitude)
+   * 0 near the equator (no Coriolis spin), 1 through the deep tropics,
+   * tapering to 0 at THRESHOLDS.hurricane.maxLat
+   */
+  getLatitudeFactor(lat) {
+    const absLat = Math.abs(lat);
+    if (absLat < this.HURRICANE_MIN_LAT) return 0;
+    const maxLat = this.THRESHOLDS.hurricane.maxLat;
+    return Math.max(0, Math.min(1, (maxLat - absLat) / (maxLat - this.HURRICANE_FULL_LAT)));
+  }
+
+  /**
+   * Boundary-layer temperature factor T_boundary
+   * Triangular window over THRESHOLDS.ice_storm.tempRange: 1 at its
+   * midpoint (freezing), 0 at either edge and outside it
+   */
+  getBoundaryFactor(boundaryTemp) {
+    if (!Number.isFinite(boundaryTemp)) return 0;
+    const [low, high] = this.THRESHOLDS.ice_storm.tempRange;
+    const mid = (low + high) / 2;
+    return Math.max(0, 1 - Math.abs(boundaryTemp - mid) / ((high - low) / 2));
+  }
+
+  /**
+   * Check the optional observed inputs
+   * Returns an error message, or null when they are usable
+   */
+  getInputError(inputs = {}) {
+    const { duration, boundaryTemp } = inputs;
+    if (duration !== undefined && !(Number.isFinite(duration) && duration >= 0 && duration <= 1)) {
+      return `Invalid duration: ${duration} (expected 0-1)`;
+    }
+    if (boundaryTemp !== undefined && !Number.isFinite(boundaryTemp)) {
+      return `Invalid boundary temperature: ${boundaryTemp}`;
+    }
+    if (inputs.ensemble) {
+      return this.getEnsembleError(inputs.ensemble);
+    }
+    return null;
+  }
+
+  /**
+   * Map volatility to Enhanced Fujita scale
+   */
+  getTornadoScale(volatility) {
+    if (volatility > 0.90) return 'EF5';
+    if (volatility > 0.80) return 'EF4';
+    if (volatility > 0.65) return 'EF3';
+    if (volatility > 0.50) return 'EF2';
+    if (volatility > 0.35) return 'EF1';
+    return 'EF0';
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    MAIN INFERENCE ENGINE
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Primary inference method
+   * Given location and date, predict storm type and danger
+   * 
+   * climate (optional scenario, see getClimateScenario):
+   *   { deltaGulf, deltaArctic, beta1, beta2 } or a single °C offset
+   * inputs (optional observations, see classifyStorm):
+   *   { duration: τ in [0, 1], boundaryTemp: °C }
+   * inputs.ensemble (optional, see runEnsemble) adds Monte Carlo
+   *   intervals and storm type shares under `ensemble`
+   */
+  infer(region, date, climate = 0, inputs = {}) {
+    const regionData = this.REGIONAL_FUEL[region];
+    if (!regionData) {
+      return { error: `Unknown region: ${region}` };
+    }
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
+    }
+    const inputError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
+    }
+    
+    const fuel = this.getEFuel(region, climate);
+    const gradient = this.getGradient(region, climate);
+    
+    return {
+      region,
+      ...this.buildInference(regionData.lat, fuel, gradient, date, climate, inputs)
+    };
+  }
+
+  /**
+   * Point inference
+   * Same as infer(), but for any latitude/longitude. Fuel and gradient
+   * come from the continuous field (see getFieldAt) instead of a
+   * named region.
+   */
+  inferAt(lat, lon, date, climate = 0, inputs = {}) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: `Invalid coordinates: ${lat}, ${lon}` };
+    }
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
+    }
+    const inputError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
+    }
+    
+    const field = this.getFieldAt(lat, lon);
+    const fuel = this.adjustFuel(field.fuel, climate, field.gulfFed);
+    const gradient = this.adjustGradient(field.gradient, climate);
+    
+    return {
+      region: null,
+      longitude: lon,
+      nearestRegion: field.nearestRegion,
+      field: {
+        baseFuel: field.fuel,
+        baseGradient: field.gradient,
+        nearestDistanceKm: field.nearestDistanceKm,
+        anchorWeight: field.anchorWeight,
+        sourceDistanceKm: field.sourceDistanceKm,
+        containingRegion: field.containingRegion
+      },
+      ...this.buildInference(lat, fuel, gradient, date, climate, inputs)
+    };
+  }
+
+  /**
+   * Shared result body for infer() and inferAt()
+   */
+  buildInference(lat, fuel, gradient, date, climate, inputs = {}) {
+    const when = this.toDate(date);
+    const catalyst = this.getCatalyst(when);
+    const solarAngle = this.getSolarAngle(lat, when);
+    const solarPunch = solarAngle * catalyst;
+    
+    const classification = this.classifyStorm(fuel, gradient, catalyst, solarAngle, lat, inputs);
+    const ensemble = inputs.ensemble
+      ? this.runEnsemble({ fuel, gradient, catalyst, solarAngle, lat }, inputs)
+      : undefined;
+    
+    return {
+      latitude: lat,
+      dayOfYear: this.getDayOfYear(when),
+      date: this.formatDate(when),
+      isoDate: this.toISODate(when),
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
+      season: this.getCatalystPhase(lat, when),
+      inputs: {
+        duration: inputs.duration ?? null,
+        boundaryTemp: inputs.boundaryTemp ?? null
+      },
+      
+      factors: {
+        fuel: { value: fuel, interpretation: this.interpretFuel(fuel) },
+        gradient: { value: gradient, interpretation: this.interpretGradient(gradient) },
+        catalyst: { value: catalyst, interpretation: this.interpretCatalyst(catalyst) },
+        solarAngle: { value: solarAngle, interpretation: this.interpretSolar(solarAngle) },
+        solarPunch: { value: solarPunch }
+      },
+      
+      indices: {
+        probability: classification.indices.probability,
+        volatility: classification.indices.volatility,
+        danger: classification.indices.danger
+      },
+      
+      prediction: classification.primary,
+      alternatives: classification.all.slice(1),
+      ...(ensemble && { ensemble }),
+      
+      dsoSignature: this.computeDSOSignature(fuel, gradient, catalyst, solarAngle)
+    };
+  }
+
+  /**
+   * Batch inference for full year at a region
+   * Covers every calendar day of `year` (366 in leap years)
+   */
+  inferYear(region, climate = 0, year = this.year, inputs = {}) {
+    const results = [];
+    const days = this.getDaysInYear(year);
+    for (let day = 1; day <= days; day++) {
+      results.push(this.infer(region, new Date(Date.UTC(year, 0, day, 12)), climate, inputs));
+    }
+    return results;
+  }
+
+  /**
+   * Compare regions on a specific day
+   * `targets` (default: every region) may mix region ids and points
+   * { name, lat, lon }; points are keyed by name, or "lat,lon" without one
+   */
+  compareRegions(date, climate = 0, inputs = {}, targets = Object.keys(this.REGIONAL_FUEL)) {
+    const results = {};
+    for (const target of targets) {
+      if (typeof target === 'string') {
+        results[target] = this.infer(target, date, climate, inputs);
+      } else {
+        const { name, lat, lon } = target || {};
+        results[name || `${lat},${lon}`] = this.inferAt(lat, lon, date, climate, inputs);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Area-weighted inference over a polygon
+   * `area` is a region id with a registered boundary, or GeoJSON.
+   * The polygon is sampled on a grid (options.resolution degrees,
+   * default AREA_RESOLUTION_DEG); each cell is inferred as a point
+   * and weighted by its area. inputs.ensemble is not applied per cell.
+   */
+  inferArea(area, date, climate = 0, inputs = {}, options = {}) {
+    let regionId = null;
+    let geometry;
+    if (typeof area === 'string') {
+      const region = this.REGIONAL_FUEL[area];
+      if (!region) return { error: `Unknown region: ${area}` };
+      if (!region.geometry) return { error: `Region ${area} has no boundary` };
+      regionId = area;
+      geometry = region.geometry;
+    } else {
+      try {
+        geometry = geo.toMultiPolygon(area);
+      } catch (error) {
+        return { error: `Invalid geometry: ${error.message}` };
+      }
+    }
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
+    }
+    const resolution = options.resolution ?? this.AREA_RESOLUTION_DEG;
+    if (!Number.isFinite(resolution) || resolution <= 0) {
+      return { error: `Invalid resolution: ${resolution}` };
+    }
+    const { ensemble, ...pointInputs } = inputs;
+    const inputError = this.getInputError(pointInputs) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
+    }
+    
+    const centroid = geo.getCentroid(geometry);
+    let points = geo.samplePoints(geometry, resolution);
+    // Smaller than one cell: fall back to the centroid
+    if (points.length === 0) {
+      points = [{ lat: centroid.lat, lon: centroid.lon, weight: 1 }];
+    }
+    
+    const when = this.toDate(date);
+    const catalyst = this.getCatalyst(when);
+    const totals = { probability: 0, volatility: 0, danger: 0 };
+    const maxima = { probability: 0, volatility: 0, danger: 0 };
+    const typeWeights = {};
+    let weightSum = 0;
+    let peak = null;
+    
+    for (const point of points) {
+      const field = this.getFieldAt(point.lat, point.lon);
+      const fuel = this.adjustFuel(field.fuel, climate, field.gulfFed);
+      const gradient = this.adjustGradient(field.gradient, climate);
+      const solarAngle = this.getSolarAngle(point.lat, when);
+      const classification = this.classifyStorm(fuel, gradient, catalyst, solarAngle, point.lat, pointInputs);
+      
+      weightSum += point.weight;
+      for (const index of Object.keys(totals)) {
+        totals[index] += point.weight * classification.indices[index];
+        maxima[index] = Math.max(maxima[index], classification.indices[index]);
+      }
+      const type = classification.primary.type;
+      typeWeights[type] = (typeWeights[type] || 0) + point.weight;
+      
+      if (!peak || classification.indices.danger > peak.danger) {
+        peak = {
+          lat: point.lat,
+          lon: point.lon,
+          danger: classification.indices.danger,
+          prediction: classification.primary
+        };
+      }
+    }
+    
+    const stormTypes = {};
+    for (const [type, weight] of Object.entries(typeWeights).sort((a, b) => b[1] - a[1])) {
+      stormTypes[type] = weight / weightSum;
+    }
+    const indices = {};
+    for (const index of Object.keys(totals)) {
+      indices[index] = { mean: totals[index] / weightSum, max: maxima[index] };
+    }
+    const [dominant] = Object.keys(stormTypes);
+    
+    return {
+      region: regionId,
+      name: regionId ? this.REGIONAL_FUEL[regionId].name : null,
+      date: this.formatDate(when),
+      isoDate: this.toISODate(when),
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
+      area: {
+        areaKm2: geo.getAreaKm2(geometry),
+        centroid,
+        bbox: geo.getBoundingBox(geometry),
+        resolution,
+        samples: points.length
+      },
+      factors: { catalyst },
+      indices,
+      prediction: { type: dominant, areaShare: stormTypes[dominant] },
+      stormTypes,
+      peak
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    GRIDDED FIELDS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Evaluate one index over a regular lat/lon grid
+   * 
+   * date: a single date, or a range { start, end } / [start, end]
+   *       reduced day by day with options.aggregate ('max' | 'mean')
+   * options.bounds     - 'conus' | 'global' | { west, south, east, north }
+   *                      | [west, south, east, north]   (default conus)
+   * options.resolution - cell size in degrees (default GRID_RESOLUTION_DEG)
+   * options.index      - 'danger' | 'probability' | 'volatility'
+   * 
+   * Returns { bounds, resolution, ncols, nrows, values, ... } with
+   * values row-major from the north-west corner (raster order) and
+   * each value taken at the cell centre. See gridExport.js for
+   * GeoJSON and ASCII grid output.
+   */
+  evaluateGrid(date, climate = 0, options = {}) {
+    const index = options.index || 'danger';
+    if (!['danger', 'probability', 'volatility'].includes(index)) {
+      return { error: `Unknown index: ${index}` };
+    }
+    const aggregate = options.aggregate || 'max';
+    if (aggregate !== 'max' && aggregate !== 'mean') {
+      return { error: `Unknown aggregate: ${aggregate}` };
+    }
+    const climateError = this.getClimateError(climate);
+    if (climateError) {
+      return { error: climateError };
+    }
+    
+    const bounds = this.getGridBounds(options.bounds || 'conus');
+    if (bounds.error) return bounds;
+    const resolution = options.resolution ?? this.GRID_RESOLUTION_DEG;
+    if (!Number.isFinite(resolution) || resolution <= 0) {
+      return { error: `Invalid resolution: ${resolution}` };
+    }
+    const ncols = Math.ceil((bounds.east - bounds.west) / resolution - 1e-9);
+    const nrows = Math.ceil((bounds.north - bounds.south) / resolution - 1e-9);
+    if (ncols * nrows > this.GRID_MAX_CELLS) {
+      return { error: `Grid too large: ${ncols} x ${nrows} cells (max ${this.GRID_MAX_CELLS})` };
+    }
+    
+    const dates = this.getGridDates(date);
+    if (dates.error) return dates;
+    
+    // Fuel and gradient depend only on the cell; sun and catalyst only on row and day
+    const cells = ncols * nrows;
+    const fuel = new Float64Array(cells);
+    const gradient = new Float64Array(cells);
+    const rowLats = new Float64Array(nrows);
+    for (let row = 0; row < nrows; row++) {
+      rowLats[row] = bounds.north - (row + 0.5) * resolution;
+      for (let col = 0; col < ncols; col++) {
+        const field = this.getFieldAt(rowLats[row], bounds.west + (col + 0.5) * resolution);
+        fuel[row * ncols + col] = this.adjustFuel(field.fuel, climate, field.gulfFed);
+        gradient[row * ncols + col] = this.adjustGradient(field.gradient, climate);
+      }
+    }
+    
+    const values = new Float64Array(cells);
+    for (const day of dates) {
+      const catalyst = this.getCatalyst(day);
+      for (let row = 0; row < nrows; row++) {
+        const solarAngle = this.getSolarAngle(rowLats[row], day);
+        for (let i = row * ncols; i < (row + 1) * ncols; i++) {
+          const value = index === 'danger'
+            ? this.getDangerIndex(fuel[i], gradient[i], catalyst, solarAngle)
+            : index === 'probability'
+              ? this.getProbability(fuel[i], catalyst, solarAngle)
+              : this.getVolatility(gradient[i], catalyst, solarAngle);
+          values[i] = aggregate === 'max' ? Math.max(values[i], value) : values[i] + value / dates.length;
+        }
+      }
+    }
+    
+    let min = Infinity;
+    let max = -Infinity;
+    for (const v of values) {
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+    
+    return {
+      index,
+      aggregate: dates.length > 1 ? aggregate : null,
+      startDate: this.toISODate(dates[0]),
+      endDate: this.toISODate(dates[dates.length - 1]),
+      days: dates.length,
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
+      bounds: {
+        west: bounds.west,
+        south: bounds.north - nrows * resolution,
+        east: bounds.west + ncols * resolution,
+        north: bounds.north
+      },
+      resolution,
+      ncols,
+      nrows,
+      values,
+      min,
+      max
+    };
+  }
+
+  /**
+   * Resolve grid bounds from a preset name, object or bbox array
+   */
+  getGridBounds(bounds) {
+    const resolved = typeof bounds === 'string' ? this.GRID_BOUNDS[bounds]
+      : Array.isArray(bounds) ? { west: bounds[0], south: bounds[1], east: bounds[2], north: bounds[3] }
+      : bounds;
+    if (!resolved) {
+      return { error: `Unknown grid bounds: ${bounds}` };
+    }
+    const { west, south, east, north } = resolved;
+    if (![west, south, east, north].every(Number.isFinite) || west >= east || south >= north ||
+      west < -180 || east > 180 || south < -90 || north > 90) {
+      return { error: `Invalid grid bounds: ${JSON.stringify(resolved)}` };
+    }
+    return { west, south, east, north };
+  }
+
+  /**
+   * Days (noon UTC) covered by a date or { start, end } / [start, end] range
+   */
+  getGridDates(date, maxDays = this.GRID_MAX_DAYS) {
+    const range = Array.isArray(date) ? { start: date[0], end: date[1] }
+      : (date && typeof date === 'object' && !(date instanceof Date)) ? date
+      : { start: date, end: date };
+    if (!this.isValidDate(range.start) || !this.isValidDate(range.end)) {
+      return { error: `Invalid date range: ${range.start} - ${range.end}` };
+    }
+    const start = this.toDate(range.start);
+    const end = this.toDate(range.end);
+    const first = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), 12);
+    const last = Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate(), 12);
+    const count = Math.round((last - first) / this.MS_PER_DAY) + 1;
+    if (count < 1) {
+      return { error: `Date range ends before it starts: ${range.start} - ${range.end}` };
+    }
+    if (count > maxDays) {
+      return { error: `Date range too long: ${count} days (max ${maxDays})` };
+    }
+    return Array.from({ length: count }, (_, i) => new Date(first + i * this.MS_PER_DAY));
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    BATCH EVALUATION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Numeric batch over points × days × climate scenarios
+   * 
+   * batch: {
+   *   lat, lon       - point coordinates (typed arrays or arrays)
+   *   day            - UTC day numbers, days since 1970-01-01
+   *                    (see getDayNumbers), evaluated at 12:00 UTC
+   *   scenarios      - climate scenarios (see getClimateScenario), default [0]
+   *   baseFuel, baseGradient - optional per-point field values
+   *                    (default: the continuous field, getFieldAt;
+   *                    Gulf terms follow the point's moisture source)
+   * }
+   * options.fields    - columns to return (default probability,
+   *                     volatility, danger; any of BATCH_FIELDS)
+   * options.precision - 'float64' (default) or 'float32'
+   * 
+   * Returns { points, days, scenarios, fields, climate, columns };
+   * each column is a typed array indexed
+   * (scenario × days + day) × points + point. No interpretation or
+   * classification: catalyst and declination are computed once per
+   * day, the solar angle once per distinct latitude and day.
+   * Output is capped at BATCH_MAX_BYTES; days are independent, so
+   * split longer runs into day ranges and evaluate them in turn.
+   */
+  evaluateBatch(batch, options = {}) {
+    const prepared = this.prepareBatch(batch, options);
+    if (prepared.error) return prepared;
+    return this.describeBatch(prepared, this.runBatch(prepared, 0, prepared.days));
+  }
+
+  /**
+   * evaluateBatch() fanned out across worker_threads (Node only)
+   * The days are split into one contiguous slice per worker;
+   * options.workers defaults to the available CPU count.
+   */
+  async evaluateBatchParallel(batch, options = {}) {
+    const prepared = this.prepareBatch(batch, { ...options, parallel: true });
+    if (prepared.error) return prepared;
+    
+    const os = require('os');
+    const path = require('path');
+    const { Worker } = require('worker_threads');
+    const available = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+    const workers = options.workers ?? available;
+    if (!Number.isInteger(workers) || workers < 1) {
+      return { error: `Invalid worker count: ${workers}` };
+    }
+    
+    const { points, days, scenarios } = prepared;
+    const columns = this.createBatchColumns(prepared, days);
+    const slice = Math.ceil(days / Math.min(workers, days));
+    const pool = [];
+    const tasks = [];
+    for (let start = 0; start < days; start += slice) {
+      const span = Math.min(slice, days - start);
+      tasks.push(new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'batchWorker.js'), {
+          workerData: { prepared: { ...prepared, days: span, day: prepared.day.slice(start, start + span) } }
+        });
+        pool.push(worker);
+        worker.once('message', (part) => {
+          // Each scenario's block of days lands at its offset in the full run
+          for (const field of prepared.fields) {
+            for (let s = 0; s < scenarios; s++) {
+              const block = part[field].subarray(s * span * points, (s + 1) * span * points);
+              columns[field].set(block, (s * days + start) * points);
+            }
+          }
+          resolve();
+        });
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+          if (code !== 0) reject(new Error(`Batch worker exited with code ${code}`));
+        });
+      }));
+    }
+    try {
+      await Promise.all(tasks);
+    } catch (error) {
+      // Stop the other slices rather than let them run on holding memory
+      await Promise.all(pool.map(worker => worker.terminate()));
+      throw error;
+    }
+    
+    return this.describeBatch(prepared, columns);
+  }
+
+  /**
+   * Validate a batch and resolve the per-point factors for each scenario
+   */
+  prepareBatch(batch = {}, options = {}) {
+    const { lat, lon, day } = batch;
+    const points = lat ? lat.length : 0;
+    if (!points || !lon || lon.length !== points) {
+      return { error: 'Batch needs lat and lon arrays of the same non-zero length' };
+    }
+    for (let p = 0; p < points; p++) {
+      if (!Number.isFinite(lat[p]) || !Number.isFinite(lon[p]) || Math.abs(lat[p]) > 90 || Math.abs(lon[p]) > 180) {
+        return { error: `Invalid coordinates at point ${p}: ${lat[p]}, ${lon[p]}` };
+      }
+    }
+    if (!day || !day.length) {
+      return { error: 'Batch needs a non-empty day array' };
+    }
+    for (let d = 0; d < day.length; d++) {
+      if (!Number.isInteger(day[d])) {
+        return { error: `Invalid day number at index ${d}: ${day[d]}` };
+      }
+    }
+    
+    const scenarios = batch.scenarios || [0];
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      return { error: 'Batch scenarios must be a non-empty array' };
+    }
+    for (const climate of scenarios) {
+      const climateError = this.getClimateError(climate);
+      if (climateError) return { error: climateError };
+    }
+    
+    const fields = options.fields || ['probability', 'volatility', 'danger'];
+    if (!Array.isArray(fields) || fields.length === 0) {
+      return { error: 'Batch fields must be a non-empty array' };
+    }
+    const unknown = fields.find(field => !this.BATCH_FIELDS.includes(field));
+    if (unknown) {
+      return { error: `Unknown batch field: ${unknown}` };
+    }
+    const precision = options.precision || 'float64';
+    if (precision !== 'float64' && precision !== 'float32') {
+      return { error: `Unknown precision: ${precision}` };
+    }
+    // The parallel path holds each worker's slice alongside the full
+    // columns while it copies them in, so it needs twice the output
+    const size = points * day.length * scenarios.length * fields.length;
+    const bytes = size * (precision === 'float32' ? 4 : 8) * (options.parallel ? 2 : 1);
+    if (bytes > this.BATCH_MAX_BYTES) {
+      return { error: `Batch too large: ${size} values, ${bytes} bytes (max ${this.BATCH_MAX_BYTES})` };
+    }
+    
+    for (const key of ['baseFuel', 'baseGradient']) {
+      if (batch[key] && batch[key].length !== points) {
+        return { error: `${key} needs one value per point` };
+      }
+    }
+    
+    // Distinct latitudes share their solar terms
+    const latIndex = new Int32Array(points);
+    const latSlots = new Map();
+    for (let p = 0; p < points; p++) {
+      if (!latSlots.has(lat[p])) latSlots.set(lat[p], latSlots.size);
+      latIndex[p] = latSlots.get(lat[p]);
+    }
+    
+    const fuel = new Float64Array(scenarios.length * points);
+    const gradient = new Float64Array(scenarios.length * points);
+    for (let p = 0; p < points; p++) {
+      const field = this.getFieldAt(lat[p], lon[p]);
+      const baseFuel = batch.baseFuel ? batch.baseFuel[p] : field.fuel;
+      const baseGradient = batch.baseGradient ? batch.baseGradient[p] : field.gradient;
+      scenarios.forEach((climate, s) => {
+        fuel[s * points + p] = this.adjustFuel(baseFuel, climate, field.gulfFed);
+        gradient[s * points + p] = this.adjustGradient(baseGradient, climate);
+      });
+    }
+    
+    return {
+      points,
+      days: day.length,
+      scenarios: scenarios.length,
+      climate: scenarios.map(climate => this.describeClimate(climate)),
+      fields,
+      precision,
+      day: Int32Array.from(day),
+      lats: Float64Array.from(latSlots.keys()),
+      latIndex,
+      fuel,
+      gradient
+    };
+  }
+
+  /**
+   * Evaluate every day of a prepared batch (prepareBatch), or the
+   * slice [dayStart, dayEnd); the columns cover only those days
+   */
+  runBatch(prepared, dayStart = 0, dayEnd = prepared.days) {
+    const { points, scenarios, lats, latIndex, fuel, gradient } = prepared;
+    const span = dayEnd - dayStart;
+    const columns = this.createBatchColumns(prepared, span);
+    
+    const sinLat = lats.map(lat => Math.sin((lat * Math.PI) / 180));
+    const cosLat = lats.map(lat => Math.cos((lat * Math.PI) / 180));
+    const solar = new Float64Array(lats.length);
+    
+    for (let d = 0; d < span; d++) {
+      const date = new Date((prepared.day[dayStart + d] + 0.5) * this.MS_PER_DAY);
+      const catalyst = this.getCatalyst(date);
+      const decRad = (this.getSolarPosition(date).declination * Math.PI) / 180;
+      const sinDec = Math.sin(decRad);
+      const cosDec = Math.cos(decRad);
+      
+      // Same expression as getSolarAngle, once per distinct latitude
+      for (let u = 0; u < lats.length; u++) {
+        solar[u] = Math.max(0, Math.sin(Math.asin(sinLat[u] * sinDec + cosLat[u] * cosDec)));
+      }
+      
+      for (let s = 0; s < scenarios; s++) {
+        const row = (s * span + d) * points;
+        const base = s * points;
+        for (let p = 0; p < points; p++) {
+          const i = row + p;
+          const f = fuel[base + p];
+          const g = gradient[base + p];
+          const solarAngle = solar[latIndex[p]];
+          if (columns.fuel) columns.fuel[i] = f;
+          if (columns.gradient) columns.gradient[i] = g;
+          if (columns.catalyst) columns.catalyst[i] = catalyst;
+          if (columns.solarAngle) columns.solarAngle[i] = solarAngle;
+          if (columns.probability) columns.probability[i] = this.getProbability(f, catalyst, solarAngle);
+          if (columns.volatility) columns.volatility[i] = this.getVolatility(g, catalyst, solarAngle);
+          if (columns.danger) columns.danger[i] = this.getDangerIndex(f, g, catalyst, solarAngle);
+        }
+      }
+    }
+    return columns;
+  }
+
+  createBatchColumns(prepared, days) {
+    const ArrayType = prepared.precision === 'float32' ? Float32Array : Float64Array;
+    const columns = {};
+    for (const field of prepared.fields) {
+      columns[field] = new ArrayType(prepared.scenarios * days * prepared.points);
+    }
+    return columns;
+  }
+
+  describeBatch(prepared, columns) {
+    return {
+      points: prepared.points,
+      days: prepared.days,
+      scenarios: prepared.scenarios,
+      fields: prepared.fields,
+      climate: prepared.climate,
+      provenance: this.getProvenance(),
+      columns
+    };
+  }
+
+  /**
+   * UTC day numbers (days since 1970-01-01) from start to end inclusive
+   */
+  getDayNumbers(start, end = start) {
+    if (!this.isValidDate(start) || !this.isValidDate(end)) {
+      return { error: `Invalid date range: ${start} - ${end}` };
+    }
+    const first = Math.floor(this.toDate(start).getTime() / this.MS_PER_DAY);
+    const last = Math.floor(this.toDate(end).getTime() / this.MS_PER_DAY);
+    const days = new Int32Array(Math.max(0, last - first + 1));
+    for (let i = 0; i < days.length; i++) days[i] = first + i;
+    return days;
+  }
+
+  /**
+   * Cell-centre lat/lon arrays for a batch, in the same north-west,
+   * row-major order as evaluateGrid()
+   */
+  getBatchGrid(bounds = 'conus', resolution = this.GRID_RESOLUTION_DEG) {
+    const resolved = this.getGridBounds(bounds);
+    if (resolved.error) return resolved;
+    if (!Number.isFinite(resolution) || resolution <= 0) {
+      return { error: `Invalid resolution: ${resolution}` };
+    }
+    const ncols = Math.ceil((resolved.east - resolved.west) / resolution - 1e-9);
+    const nrows = Math.ceil((resolved.north - resolved.south) / resolution - 1e-9);
+    const lat = new Float64Array(ncols * nrows);
+    const lon = new Float64Array(ncols * nrows);
+    for (let row = 0; row < nrows; row++) {
+      for (let col = 0; col < ncols; col++) {
+        lat[row * ncols + col] = resolved.north - (row + 0.5) * resolution;
+        lon[row * ncols + col] = resolved.west + (col + 0.5) * resolution;
+      }
+    }
+    return { lat, lon, ncols, nrows, resolution };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    EVENT WINDOWS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Find contiguous runs of days that meet the criteria
+   * 
+   * target:   region id, or { lat, lon }
+   * range:    { start, end } or [start, end] (daily, noon UTC)
+   * criteria: all must hold on a day, e.g.
+   *   { danger: { gt: 0.5 } }         - index thresholds (gt, gte, lt, lte;
+   *                                     a bare number means gt)
+   *   { mode: 'INVERSION' }           - getMetabolicState() mode
+   *   { type: 'DERECHO' }             - primary classification
+   *   { includesType: 'TORNADO' }     - primary or any alternative
+   *   { potential: { gt: 0.3 } }      - metabolic (inversion) potential
+   * options:
+   *   climate, inputs  - as for infer()
+   *   minDays          - shortest window kept (default 1)
+   *   hysteresis       - mode switching margin (default MODE_HYSTERESIS)
+   *   maxGap           - merge windows separated by up to this many days (default 0)
+   *   peakBy           - 'danger' | 'probability' | 'volatility' | 'potential'
+   *                      | 'typeProbability' (default from the criteria)
+   * 
+   * Returns windows with start, end, length, peak date and peak value.
+   */
+  findEventWindows(target, range, criteria = {}, options = {}) {
+    let lat;
+    let baseFuel;
+    let baseGradient;
+    let gulfFed;
+    let label;
+    if (typeof target === 'string') {
+      const regionData = this.REGIONAL_FUEL[target];
+      if (!regionData) return { error: `Unknown region: ${target}` };
+      ({ lat } = regionData);
+      baseFuel = regionData.fuel;
+      baseGradient = regionData.gradient;
+      gulfFed = !regionData.moistureSource;
+      label = { region: target };
+    } else if (target && Number.isFinite(target.lat) && Number.isFinite(target.lon) &&
+      Math.abs(target.lat) <= 90 && Math.abs(target.lon) <= 180) {
+      const field = this.getFieldAt(target.lat, target.lon);
+      lat = target.lat;
+      baseFuel = field.fuel;
+      baseGradient = field.gradient;
+      gulfFed = field.gulfFed;
+      label = { region: null, latitude: target.lat, longitude: target.lon, nearestRegion: field.nearestRegion };
+    } else {
+      return { error: `Invalid target: ${JSON.stringify(target)}` };
+    }
+    
+    const climate = options.climate ?? 0;
+    const inputs = options.inputs || {};
+    const optionError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (optionError) return { error: optionError };
+    
+    const tests = this.compileWindowCriteria(criteria);
+    if (tests.error) return tests;
+    const peakBy = options.peakBy || this.getDefaultPeakMetric(criteria);
+    if (!['danger', 'probability', 'volatility', 'potential', 'typeProbability'].includes(peakBy)) {
+      return { error: `Unknown peak metric: ${peakBy}` };
+    }
+    const minDays = options.minDays ?? 1;
+    const maxGap = options.maxGap ?? 0;
+    
+    const days = this.getGridDates(range, this.WINDOW_MAX_DAYS);
+    if (days.error) return days;
+    
+    const fuel = this.adjustFuel(baseFuel, climate, gulfFed);
+    const gradient = this.adjustGradient(baseGradient, climate);
+    const targetType = criteria.type || criteria.includesType;
+    
+    // Evaluate every day
+    const metabolicStates = this.getMetabolicSeries(lat, days, gradient, options.hysteresis ?? this.MODE_HYSTERESIS);
+    const daily = days.map((date, i) => {
+      const catalyst = this.getCatalyst(date);
+      const solarAngle = this.getSolarAngle(lat, date);
+      const classification = this.classifyStorm(fuel, gradient, catalyst, solarAngle, lat, inputs);
+      const metabolic = metabolicStates[i];
+      const typeResult = targetType && classification.all.find(r => r.type === targetType);
+      const state = {
+        date,
+        danger: classification.indices.danger,
+        probability: classification.indices.probability,
+        volatility: classification.indices.volatility,
+        potential: metabolic.potential,
+        mode: metabolic.mode,
+        type: classification.primary.type,
+        types: classification.all.map(r => r.type),
+        typeProbability: typeResult ? typeResult.probability : 0
+      };
+      state.match = tests.every(test => test(state));
+      return state;
+    });
+    
+    // Group matching days, bridging gaps of up to maxGap days
+    const runs = [];
+    let current = null;
+    daily.forEach((state, i) => {
+      if (!state.match) return;
+      if (current && i - current.last - 1 <= maxGap) {
+        current.last = i;
+      } else {
+        current = { first: i, last: i };
+        runs.push(current);
+      }
+    });
+    
+    const windows = runs
+      .filter(run => run.last - run.first + 1 >= minDays)
+      .map(run => {
+        const span = daily.slice(run.first, run.last + 1);
+        const peak = span
+          .filter(s => s.match)
+          .reduce((best, s) => (s[peakBy] > best[peakBy] ? s : best));
+        return {
+          start: this.toISODate(span[0].date),
+          end: this.toISODate(span[span.length - 1].date),
+          days: span.length,
+          matchedDays: span.filter(s => s.match).length,
+          peakDate: this.toISODate(peak.date),
+          peakValue: peak[peakBy],
+          peakType: peak.type,
+          peakMode: peak.mode
+        };
+      });
+    
+    return {
+      ...label,
+      start: this.toISODate(days[0]),
+      end: this.toISODate(days[days.length - 1]),
+      criteria,
+      peakBy,
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
+      windows,
+      next: windows[0] || null
+    };
+  }
+
+  /**
+   * Turn window criteria into per-day tests
+   */
+  compileWindowCriteria(criteria) {
+    const tests = [];
+    const comparisons = {
+      gt: (a, b) => a > b,
+      gte: (a, b) => a >= b,
+      lt: (a, b) => a < b,
+      lte: (a, b) => a <= b
+    };
+    
+    for (const [key, condition] of Object.entries(criteria)) {
+      if (['danger', 'probability', 'volatility', 'potential'].includes(key)) {
+        const bounds = typeof condition === 'number' ? { gt: condition } : condition;
+        const entries = Object.entries(bounds || {});
+        if (entries.length === 0) {
+          return { error: `Empty condition for ${key}` };
+        }
+        for (const [op, limit] of entries) {
+          if (!comparisons[op] || !Number.isFinite(limit)) {
+            return { error: `Invalid condition for ${key}: ${op} ${limit}` };
+          }
+          tests.push(state => comparisons[op](state[key], limit));
+        }
+      } else if (key === 'mode') {
+        tests.push(state => state.mode === condition);
+      } else if (key === 'type') {
+        tests.push(state => state.type === condition);
+      } else if (key === 'includesType') {
+        tests.push(state => state.type === condition || state.types.includes(condition));
+      } else {
+        return { error: `Unknown criterion: ${key}` };
+      }
+    }
+    
+    if (tests.length === 0) {
+      return { error: 'No criteria given' };
+    }
+    return tests;
+  }
+
+  /**
+   * Peak metric implied by the criteria
+   */
+  getDefaultPeakMetric(criteria) {
+    const index = ['danger', 'probability', 'volatility', 'potential'].find(key => key in criteria);
+    if (index) return index;
+    if (criteria.mode === 'INVERSION') return 'potential';
+    if (criteria.type || criteria.includesType) return 'typeProbability';
+    return 'danger';
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    SEASON SUMMARY
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Summarize a region's year (built on inferYear)
+   * 
+   * options.threshold - daily danger counted as in season
+   *                     (default SEASON_THRESHOLD)
+   * options.inputs    - optional observations, as for infer()
+   * options.hysteresis - mode switching margin for the per-mode day
+   *                     counts (default MODE_HYSTERESIS)
+   * 
+   * Reports primary/secondary danger peaks, season onset and end,
+   * integrated annual danger, days per storm type and per mode, and
+   * the volatility-vs-probability peak offset (DSO-W-010).
+   */
+  summarizeSeason(region, climate = 0, year = this.year, options = {}) {
+    const regionData = this.REGIONAL_FUEL[region];
+    if (!regionData) {
+      return { error: `Unknown region: ${region}` };
+    }
+    if (!Number.isInteger(year)) {
+      return { error: `Invalid year: ${year}` };
+    }
+    const threshold = options.threshold ?? this.SEASON_THRESHOLD;
+    if (!Number.isFinite(threshold)) {
+      return { error: `Invalid threshold: ${threshold}` };
+    }
+    
+    const days = this.inferYear(region, climate, year, options.inputs || {});
+    if (days[0].error) return days[0];
+    
+    const gradient = this.getGradient(region, climate);
+    const dateOf = (i) => new Date(Date.UTC(year, 0, i + 1, 12));
+    const danger = days.map(d => d.indices.danger);
+    const stormTypeDays = {};
+    const modeDays = {};
+    const modes = this.getMetabolicSeries(regionData.lat, days.map((d, i) => dateOf(i)), gradient,
+      options.hysteresis ?? this.MODE_HYSTERESIS);
+    days.forEach((d, i) => {
+      const type = d.prediction.type;
+      stormTypeDays[type] = (stormTypeDays[type] || 0) + 1;
+      const { mode } = modes[i];
+      modeDays[mode] = (modeDays[mode] || 0) + 1;
+    });
+    
+    const peakOf = (values) => values.reduce((best, v, i) => (v > values[best] ? i : best), 0);
+    const primary = peakOf(danger);
+    const secondary = this.findSecondaryPeak(danger, primary);
+    
+    // In-season runs
+    const periods = [];
+    danger.forEach((v, i) => {
+      if (v < threshold) return;
+      const last = periods[periods.length - 1];
+      if (last && last.endIndex === i - 1) {
+        last.endIndex = i;
+      } else {
+        periods.push({ startIndex: i, endIndex: i });
+      }
+    });
+    
+    // DSO-W-010: volatility should peak (Mar-Apr) before probability (Jul-Aug)
+    const volatilityPeak = peakOf(days.map(d => d.indices.volatility));
+    const probabilityPeak = peakOf(days.map(d => d.indices.probability));
+    const month = (i) => dateOf(i).getUTCMonth() + 1;
+    
+    const describePeak = (i) => ({
+      date: days[i].isoDate,
+      dayOfYear: i + 1,
+      danger: danger[i],
+      prediction: days[i].prediction.type
+    });
+    
+    return {
+      region,
+      name: regionData.name,
+      year,
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
+      threshold,
+      
+      peaks: {
+        primary: describePeak(primary),
+        secondary: secondary === null ? null : describePeak(secondary)
+      },
+      season: {
+        onset: periods.length ? days[periods[0].startIndex].isoDate : null,
+        end: periods.length ? days[periods[periods.length - 1].endIndex].isoDate : null,
+        daysInSeason: danger.filter(v => v >= threshold).length,
+        periods: periods.map(p => ({
+          start: days[p.startIndex].isoDate,
+          end: days[p.endIndex].isoDate,
+          days: p.endIndex - p.startIndex + 1
+        }))
+      },
+      integratedDanger: danger.reduce((a, b) => a + b, 0),
+      stormTypeDays,
+      modeDays,
+      
+      phaseOffset: {
+        volatilityPeak: days[volatilityPeak].isoDate,
+        probabilityPeak: days[probabilityPeak].isoDate,
+        offsetDays: probabilityPeak - volatilityPeak,
+        hypothesis: {
+          id: 'DSO-W-010',
+          volatilityPeakMonths: [3, 4],
+          probabilityPeakMonths: [7, 8],
+          supported: [3, 4].includes(month(volatilityPeak)) && [7, 8].includes(month(probabilityPeak))
+        }
+      }
+    };
   }
 
   /**
-   * Factor 3: E-Fuel
-   * Total energy storage available (Gulf SST, atmospheric moisture)
-   * Climate-adjusted based on warming
+   * Highest local maximum at least SEASON_PEAK_SEPARATION_DAYS from
+   * the primary peak (distance wraps around the year), or null
    */
-  getEFuel(region, climateOffset = 0) {
-    const base = this.REGIONAL_FUEL[region]?.fuel || 0.5;
-    const warming = this.GULF_SST_CURRENT - this.GULF_SST_BASELINE + climateOffset;
-    const adjusted = base * (1 + this.WARMING_COEFFICIENT * warming * 0.1);
-    return Math.min(1.0, adjusted);
+  findSecondaryPeak(values, primary) {
+    const n = values.length;
+    let best = null;
+    for (let i = 0; i < n; i++) {
+      const prev = values[(i + n - 1) % n];
+      const next = values[(i + 1) % n];
+      if (values[i] < prev || values[i] < next) continue;
+      const separation = Math.min(Math.abs(i - primary), n - Math.abs(i - primary));
+      if (separation < this.SEASON_PEAK_SEPARATION_DAYS) continue;
+      if (best === null || values[i] > values[best]) best = i;
+    }
+    return best;
   }
 
-  /**
-   * Factor 4: E-Gradient (∂E/∂φ)
-   * Spatial rate of change of energy (air mass collision intensity)
-   * The "wall" where Gulf warm/moist meets Arctic cold/dry
-   */
-  getGradient(region, climateOffset = 0) {
-    const base = this.REGIONAL_FUEL[region]?.gradient || 0.5;
-    // Arctic amplification reduces gradient over time
-    const arcticWarming = climateOffset * this.ARCTIC_DAMPING;
-    const adjusted = base * (1 - arcticWarming * 0.1);
-    return Math.max(0, adjusted);
-  }
+  // ═══════════════════════════════════════════════════════════════
+  //                    HOURLY (DIURNAL) INFERENCE
+  // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Combined Solar Punch
-   * Product of solar angle and catalyst - the "E-punch" factor
+   * 24-hour danger curve for a region
    */
-  getSolarPunch(lat, dayOfYear) {
-    return this.getSolarAngle(lat, dayOfYear) * this.getCatalyst(dayOfYear);
+  inferHourly(region, date, climate = 0, options = {}) {
+    const regionData = this.REGIONAL_FUEL[region];
+    if (!regionData) {
+      return { error: `Unknown region: ${region}` };
+    }
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
+    }
+    const inputError = this.getInputError(options) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
+    }
+    
+    const fuel = this.getEFuel(region, climate);
+    const gradient = this.getGradient(region, climate);
+    
+    return {
+      region,
+      ...this.buildHourlyCurve(regionData.lat, regionData.lon, fuel, gradient, date, climate, options)
+    };
   }
 
   /**
-   * Metabolic State / Inversion Detection
-   * 
-   * The INVERSION occurs when:
-   * - Solar angle is LOW (winter/high latitude, weak vertical heating)
-   * - Catalyst is HIGH (near equinox, strong tilt rate)
-   * 
-   * Result: Energy cannot discharge vertically (no convection)
-   *         Instead discharges HORIZONTALLY (surface kinetic)
-   *         
-   * This produces BOMB CYCLONES - rapid surface pressure drops
-   * driven by horizontal temperature gradients, not convection.
-   * 
-   * Key insight: The threshold depends on the RATIO of catalyst to solar.
-   * When catalyst dominates solar angle, you get horizontal discharge.
+   * 24-hour danger curve for any latitude/longitude
    */
-  getMetabolicState(lat, dayOfYear, gradient) {
-    const alpha = this.getSolarAngle(lat, dayOfYear);  // Pure solar, no catalyst
-    const catalyst = this.getCatalyst(dayOfYear);       // dθ/dt
-    
-    // The INVERSION RATIO: catalyst / (alpha + 0.1)
-    // When this ratio > 1.5, the system "inverts" to horizontal mode
-    const inversionRatio = catalyst / (alpha + 0.1);
-    
-    // INVERSION MODE: Catalyst dominates over solar
-    // Occurs when: high catalyst, moderate-to-low solar
-    // Real-world: Late Oct-Nov, Feb-early Mar at mid-high latitudes
-    if (inversionRatio > 1.2 && catalyst > 0.5 && alpha < 0.6) {
-      const potential = gradient * catalyst * (1 - alpha);
-      
-      // Classify inversion intensity
-      let severity = 'MODERATE';
-      if (potential > 0.5) severity = 'EXTREME';
-      else if (potential > 0.3) severity = 'STRONG';
-      
-      return {
-        mode: 'INVERSION',
-        type: 'BOMB_CYCLONE',
-        potential: potential,
-        inversionRatio: inversionRatio,
-        behavior: 'Surface-Level Kinetic',
-        severity: severity,
-        mechanism: 'Catalyst/Solar ratio > 1.2 → Horizontal discharge',
-        conditions: {
-          solarAngle: alpha,
-          catalyst: catalyst,
-          gradient: gradient,
-          ratio: inversionRatio
-        }
-      };
+  inferHourlyAt(lat, lon, date, climate = 0, options = {}) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: `Invalid coordinates: ${lat}, ${lon}` };
     }
-    
-    // STANDARD MODE: Solar dominates, adequate for vertical discharge
-    if (alpha > 0.5 && catalyst > 0.4) {
-      return {
-        mode: 'STANDARD',
-        type: 'CONVECTIVE',
-        potential: alpha * catalyst * gradient,
-        inversionRatio: inversionRatio,
-        behavior: 'Vertical Discharge',
-        mechanism: 'Solar dominates → Convective storms'
-      };
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
     }
-    
-    // SUMMER MODE: High sun, low catalyst - disorganized
-    if (alpha > 0.7 && catalyst < 0.3) {
-      return {
-        mode: 'SUPPRESSED',
-        type: 'POP_UP',
-        potential: alpha * gradient * 0.3,
-        inversionRatio: inversionRatio,
-        behavior: 'Isolated Convection',
-        mechanism: 'High α but no catalyst → Disorganized'
-      };
+    const inputError = this.getInputError(options) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
     }
     
-    // WINTER MODE: Low sun, low catalyst (stable)
-    if (alpha < 0.5 && catalyst < 0.3) {
-      return {
-        mode: 'DORMANT',
-        type: 'STABLE',
-        potential: 0.1,
-        inversionRatio: inversionRatio,
-        behavior: 'Minimal Activity',
-        mechanism: 'Low α + Low catalyst → Stable'
-      };
-    }
+    const field = this.getFieldAt(lat, lon);
+    const fuel = this.adjustFuel(field.fuel, climate, field.gulfFed);
+    const gradient = this.adjustGradient(field.gradient, climate);
     
-    // TRANSITION: Mixed conditions
     return {
-      mode: 'TRANSITION',
-      type: 'MIXED',
-      potential: alpha * catalyst * gradient,
-      inversionRatio: inversionRatio,
-      behavior: 'Variable',
-      mechanism: 'Transitional state'
+      region: null,
+      nearestRegion: field.nearestRegion,
+      ...this.buildHourlyCurve(lat, lon, fuel, gradient, date, climate, options)
     };
   }
 
   /**
-   * Get all storm modes for a given day
-   * Shows both convective potential AND inversion potential
+   * Hourly curve body shared by inferHourly() and inferHourlyAt()
+   *
+   * Solar input S(t) = max(0, sin(elevation)) from the true hour angle.
+   * The E-accumulation A(t) lags it through a first-order response:
+   *
+   *   dA/dt = (S(t) - A) / τ_lag
+   *
+   * so energy keeps building after solar noon and A peaks in the
+   * afternoon. A takes the place of sin(α) in P, V and D.
+   *
+   * options.utcOffset - local time zone in hours (default: nominal
+   *                     zone from longitude, round(lon / 15))
+   * options.lagHours  - τ_lag (default ACCUMULATION_LAG_HOURS)
+   * options.duration, options.boundaryTemp - passed to classifyStorm()
    */
-  getFullForecast(region, dayOfYear, climateOffset = 0) {
-    const regionData = this.REGIONAL_FUEL[region];
-    if (!regionData) return { error: `Unknown region: ${region}` };
+  buildHourlyCurve(lat, lon, fuel, gradient, date, climate, options = {}) {
+    const day = this.toDate(date);
+    const utcOffset = options.utcOffset ?? Math.round(lon / 15);
+    const lagHours = options.lagHours ?? this.ACCUMULATION_LAG_HOURS;
     
-    const lat = regionData.lat;
-    const fuel = this.getEFuel(region, climateOffset);
-    const gradient = this.getGradient(region, climateOffset);
-    const catalyst = this.getCatalyst(dayOfYear);
-    const solarAngle = this.getSolarAngle(lat, dayOfYear);
+    const stepMs = this.ACCUMULATION_STEP_MINUTES * 60000;
+    const stepHours = this.ACCUMULATION_STEP_MINUTES / 60;
+    const hourMs = 3600000;
+    const localMidnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()) - utcOffset * hourMs;
     
-    // Standard classification
-    const standard = this.classifyStorm(fuel, gradient, catalyst, solarAngle, lat);
+    // Spin up from rest so the curve starts in its daily steady state
+    let accumulation = 0;
+    let t = localMidnight - this.ACCUMULATION_SPINUP_HOURS * hourMs;
+    const advanceTo = (target) => {
+      for (; t < target; t += stepMs) {
+        const solar = Math.max(0, Math.sin(this.getSolarElevation(lat, lon, new Date(t)) * Math.PI / 180));
+        accumulation += (solar - accumulation) * (stepHours / lagHours);
+      }
+    };
     
-    // Inversion check
-    const metabolic = this.getMetabolicState(lat, dayOfYear, gradient);
+    const hours = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const instant = localMidnight + hour * hourMs;
+      advanceTo(instant);
+      
+      const elevation = this.getSolarElevation(lat, lon, new Date(instant));
+      const catalyst = this.getCatalyst(new Date(instant));
+      hours.push({
+        hour,
+        time: new Date(instant).toISOString(),
+        solarElevation: elevation,
+        solarAngle: Math.max(0, Math.sin(elevation * Math.PI / 180)),
+        accumulation,
+        catalyst,
+        probability: this.getProbability(fuel, catalyst, accumulation),
+        volatility: this.getVolatility(gradient, catalyst, accumulation),
+        danger: this.getDangerIndex(fuel, gradient, catalyst, accumulation)
+      });
+    }
+    
+    const peak = hours.reduce((best, h) => (h.danger > best.danger ? h : best), hours[0]);
+    const solarPeak = hours.reduce((best, h) => (h.solarAngle > best.solarAngle ? h : best), hours[0]);
+    const [windowStart, windowEnd] = this.AFTERNOON_PEAK_WINDOW;
+    const classification = this.classifyStorm(fuel, gradient, peak.catalyst, peak.accumulation, lat, options);
     
     return {
-      region,
-      date: this.dayOfYearToDate(dayOfYear),
       latitude: lat,
+      longitude: lon,
+      date: this.formatDate(day),
+      isoDate: this.toISODate(day),
+      utcOffset,
+      lagHours,
+      climate: this.describeClimate(climate),
+      provenance: this.getProvenance(),
       
-      factors: {
-        fuel,
-        gradient,
-        catalyst,
-        solarAngle
-      },
+      factors: { fuel, gradient },
+      hours,
       
-      // Standard convective forecast
-      convective: {
-        prediction: standard.primary,
-        danger: standard.indices.danger,
-        volatility: standard.indices.volatility
+      peak: {
+        hour: peak.hour,
+        danger: peak.danger,
+        prediction: classification.primary
       },
+      solarPeakHour: solarPeak.hour,
       
-      // Inversion / Bomb Cyclone forecast
-      inversion: metabolic,
-      
-      // Which mode dominates?
-      dominantMode: metabolic.mode === 'INVERSION' ? 'INVERSION' : 'CONVECTIVE',
-      
-      // Combined threat assessment
-      primaryThreat: metabolic.mode === 'INVERSION' && metabolic.potential > standard.indices.danger
-        ? metabolic.type
-        : standard.primary.type
+      // DSO-W-008: tornado occurrence peaks 3-7 PM local
+      hypothesis: {
+        id: 'DSO-W-008',
+        window: this.AFTERNOON_PEAK_WINDOW,
+        peakHour: peak.hour,
+        supported: peak.danger > 0 && peak.hour >= windowStart && peak.hour < windowEnd
+      }
     };
   }
 
   // ═══════════════════════════════════════════════════════════════
-  //                    PROBABILITY MODELS
+  //                    ENSEMBLE (MONTE CARLO)
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Storm Probability (will a storm occur?)
-   * P = E_fuel × |dθ/dt| × sin(α)
+   * Normalize ensemble options
+   * Accepts true, a member count, or
+   *   { members, seed, distributions: { factor: spec | null } }
+   * 
+   * spec = { distribution: 'normal' | 'uniform' | 'triangular',
+   *          spread,      // sd (normal) or half-width (uniform/triangular)
+   *          relative }   // spread as a fraction of the central value
+   * 
+   * Factors: fuel, gradient, catalyst, solarAngle, duration, boundaryTemp.
+   * Entries merge over ENSEMBLE_DISTRIBUTIONS; null turns one off.
    */
-  getProbability(fuel, catalyst, solarAngle) {
-    return fuel * catalyst * solarAngle;
+  getEnsembleOptions(ensemble) {
+    const options = typeof ensemble === 'number' ? { members: ensemble }
+      : typeof ensemble === 'object' ? ensemble
+      : {};
+    const distributions = { ...this.ENSEMBLE_DISTRIBUTIONS, ...(options.distributions || {}) };
+    for (const [factor, spec] of Object.entries(distributions)) {
+      if (!spec) delete distributions[factor];
+    }
+    return {
+      members: options.members ?? this.ENSEMBLE_MEMBERS,
+      seed: options.seed ?? this.ENSEMBLE_SEED,
+      distributions
+    };
   }
 
   /**
-   * Storm Volatility (how violent if it occurs?)
-   * V = (∂E/∂φ) × |dθ/dt| × sin(α)
+   * Check ensemble options
+   * Returns an error message, or null when they are usable
    */
-  getVolatility(gradient, catalyst, solarAngle) {
-    return gradient * catalyst * solarAngle;
+  getEnsembleError(ensemble) {
+    const { members, seed, distributions } = this.getEnsembleOptions(ensemble);
+    if (!Number.isInteger(members) || members < 1 || members > 100000) {
+      return `Invalid ensemble size: ${members} (expected 1-100000)`;
+    }
+    if (!Number.isFinite(seed)) {
+      return `Invalid ensemble seed: ${seed}`;
+    }
+    for (const [factor, spec] of Object.entries(distributions)) {
+      if (!this.ENSEMBLE_BOUNDS[factor]) {
+        return `Unknown ensemble factor: ${factor}`;
+      }
+      if (!['normal', 'uniform', 'triangular'].includes(spec.distribution)) {
+        return `Unknown distribution for ${factor}: ${spec.distribution}`;
+      }
+      if (!Number.isFinite(spec.spread) || spec.spread < 0) {
+        return `Invalid spread for ${factor}: ${spec.spread}`;
+      }
+    }
+    return null;
   }
 
   /**
-   * Danger Index (combined metric)
-   * D = P × V = E_fuel × (∂E/∂φ) × (dθ/dt)² × sin²(α)
+   * Seeded uniform [0, 1) generator (mulberry32)
    */
-  getDangerIndex(fuel, gradient, catalyst, solarAngle) {
-    return fuel * gradient * Math.pow(catalyst, 2) * Math.pow(solarAngle, 2);
+  createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
   }
 
-  // ═══════════════════════════════════════════════════════════════
-  //                    STORM TYPE CLASSIFICATION
-  // ═══════════════════════════════════════════════════════════════
-
   /**
-   * Classify storm type based on DSO factors
-   * Different combinations produce different phenomena
+   * Draw one value around `center`, clamped to the factor's bounds
    */
-  classifyStorm(fuel, gradient, catalyst, solarAngle, lat) {
-    const probability = this.getProbability(fuel, catalyst, solarAngle);
-    const volatility = this.getVolatility(gradient, catalyst, solarAngle);
-    const danger = this.getDangerIndex(fuel, gradient, catalyst, solarAngle);
-    
-    const results = [];
-    
-    // TORNADO: High gradient + High catalyst + High solar
-    if (gradient > 0.70 && catalyst > 0.60 && volatility > 0.40) {
-      results.push({
-        type: 'TORNADO',
-        probability: volatility,
-        severity: this.getTornadoScale(volatility),
-        mechanism: 'Maximum gradient × catalyst → rotational discharge'
-      });
-    }
-    
-    // SUPERCELL: Moderate-high all factors
-    if (gradient > 0.50 && catalyst > 0.40 && fuel > 0.50) {
-      results.push({
-        type: 'SUPERCELL',
-        probability: probability * gradient,
-        mechanism: 'Organized rotation with sustained updraft'
-      });
-    }
-    
-    // DERECHO: High fuel + Low catalyst → linear discharge
-    if (fuel > 0.75 && catalyst < 0.35 && gradient < 0.50) {
-      results.push({
-        type: 'DERECHO',
-        probability: Math.pow(fuel, 2) * (1 - catalyst),
-        mechanism: 'No rotation driver → linear wind discharge'
-      });
-    }
-    
-    // SEVERE THUNDERSTORM: Moderate gradient + any catalyst
-    if (gradient > 0.30 && fuel > 0.40 && solarAngle > 0.30) {
-      results.push({
-        type: 'SEVERE_THUNDERSTORM',
-        probability: fuel * gradient * solarAngle,
-        mechanism: 'Gradient-driven updraft/downdraft differential'
-      });
-    }
-    
-    // BLIZZARD: High gradient + High catalyst + LOW solar (cold side wins)
-    if (gradient > 0.50 && catalyst > 0.40 && solarAngle < 0.35) {
-      results.push({
-        type: 'BLIZZARD',
-        probability: gradient * catalyst * (1 - solarAngle),
-        mechanism: 'Cold-side gradient dominance'
-      });
+  sampleFactor(factor, center, spec, random) {
+    const spread = spec.relative ? spec.spread * Math.abs(center) : spec.spread;
+    let value;
+    if (spec.distribution === 'uniform') {
+      value = center + spread * (2 * random() - 1);
+    } else if (spec.distribution === 'triangular') {
+      value = center + spread * (random() - random());
+    } else {
+      // Box-Muller
+      const u = 1 - random();
+      value = center + spread * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
     }
+    const [low, high] = this.ENSEMBLE_BOUNDS[factor];
+    return Math.min(high, Math.max(low, value));
+  }
+
+  /**
+   * Monte Carlo ensemble around one deterministic forecast
+   * Each member samples the factors (and the observed inputs, if any)
+   * and is run through the indices and classifyStorm().
+   * 
+   * Returns mean / median / 5-95% intervals for P, V and D, and for
+   * each storm type the share of members that classify it as the
+   * primary threat (`primary`) or at all (`any`).
+   */
+  runEnsemble(central, inputs = {}) {
+    const { members, seed, distributions } = this.getEnsembleOptions(inputs.ensemble);
+    const random = this.createRandom(seed);
+    const samples = { probability: [], volatility: [], danger: [] };
+    const counts = {};
     
-    // BASIC THUNDERSTORM: Just fuel + solar
-    if (fuel > 0.30 && solarAngle > 0.40) {
-      results.push({
-        type: 'THUNDERSTORM',
-        probability: fuel * solarAngle * 0.5,
-        mechanism: 'Solar heating + moisture → convection'
-      });
+    for (let m = 0; m < members; m++) {
+      const draw = { ...central, duration: inputs.duration, boundaryTemp: inputs.boundaryTemp };
+      for (const [factor, spec] of Object.entries(distributions)) {
+        if (Number.isFinite(draw[factor])) {
+          draw[factor] = this.sampleFactor(factor, draw[factor], spec, random);
+        }
+      }
+      
+      const memberInputs = { duration: draw.duration, boundaryTemp: draw.boundaryTemp };
+      const classification = this.classifyStorm(
+        draw.fuel, draw.gradient, draw.catalyst, draw.solarAngle, central.lat, memberInputs
+      );
+      for (const index of Object.keys(samples)) {
+        samples[index].push(classification.indices[index]);
+      }
+      
+      // STABLE never appears in `all`, so add the primary explicitly
+      const types = new Set([classification.primary.type, ...classification.all.map(r => r.type)]);
+      for (const type of types) {
+        counts[type] = counts[type] || { primary: 0, any: 0 };
+        counts[type].any++;
+      }
+      counts[classification.primary.type].primary++;
     }
     
-    // FLASH FLOOD: High fuel + sustained (no gradient needed)
-    if (fuel > 0.70) {
-      results.push({
-        type: 'FLASH_FLOOD_RISK',
-        probability: fuel * 0.4,
-        mechanism: 'Sustained moisture regardless of organization'
-      });
+    const stormTypes = {};
+    const ranked = Object.entries(counts).sort((a, b) => b[1].primary - a[1].primary || b[1].any - a[1].any);
+    for (const [type, c] of ranked) {
+      stormTypes[type] = { primary: c.primary / members, any: c.any / members };
     }
     
-    // Sort by probability
-    results.sort((a, b) => b.probability - a.probability);
-    
     return {
-      primary: results[0] || { type: 'STABLE', probability: 0 },
-      secondary: results[1] || null,
-      all: results,
-      factors: { fuel, gradient, catalyst, solarAngle },
-      indices: { probability, volatility, danger }
+      members,
+      seed,
+      distributions,
+      indices: {
+        probability: this.summarizeSamples(samples.probability),
+        volatility: this.summarizeSamples(samples.volatility),
+        danger: this.summarizeSamples(samples.danger)
+      },
+      stormTypes
     };
   }
 
   /**
-   * Map volatility to Enhanced Fujita scale
+   * Mean, median and 5-95% interval of a sample
    */
-  getTornadoScale(volatility) {
-    if (volatility > 0.90) return 'EF5';
-    if (volatility > 0.80) return 'EF4';
-    if (volatility > 0.65) return 'EF3';
-    if (volatility > 0.50) return 'EF2';
-    if (volatility > 0.35) return 'EF1';
-    return 'EF0';
+  summarizeSamples(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const quantile = (q) => {
+      const pos = (sorted.length - 1) * q;
+      const lo = Math.floor(pos);
+      const hi = Math.ceil(pos);
+      return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    };
+    return {
+      mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+      median: quantile(0.5),
+      p05: quantile(0.05),
+      p95: quantile(0.95)
+    };
   }
 
   // ═══════════════════════════════════════════════════════════════
-  //                    MAIN INFERENCE ENGINE
+  //                    EXPLANATION (ATTRIBUTION)
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Primary inference method
-   * Given location and date, predict storm type and danger
+   * Why did a forecast come out the way it did?
+   * Same arguments as infer(); returns the factor sensitivities of D,
+   * each factor's share of log D, and every storm type rule condition
+   * with its margin to the threshold
    */
-  infer(region, dayOfYear, climateOffset = 0) {
+  explain(region, date, climate = 0, inputs = {}) {
     const regionData = this.REGIONAL_FUEL[region];
     if (!regionData) {
       return { error: `Unknown region: ${region}` };
     }
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
+    }
+    const inputError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
+    }
     
-    const lat = regionData.lat;
-    const fuel = this.getEFuel(region, climateOffset);
-    const gradient = this.getGradient(region, climateOffset);
-    const catalyst = this.getCatalyst(dayOfYear);
-    const solarAngle = this.getSolarAngle(lat, dayOfYear);
-    const solarPunch = this.getSolarPunch(lat, dayOfYear);
-    
-    const classification = this.classifyStorm(fuel, gradient, catalyst, solarAngle, lat);
+    const fuel = this.getEFuel(region, climate);
+    const gradient = this.getGradient(region, climate);
     
     return {
       region,
-      latitude: lat,
-      dayOfYear,
-      date: this.dayOfYearToDate(dayOfYear),
-      climateOffset,
-      
-      factors: {
-        fuel: { value: fuel, interpretation: this.interpretFuel(fuel) },
-        gradient: { value: gradient, interpretation: this.interpretGradient(gradient) },
-        catalyst: { value: catalyst, interpretation: this.interpretCatalyst(catalyst) },
-        solarAngle: { value: solarAngle, interpretation: this.interpretSolar(solarAngle) },
-        solarPunch: { value: solarPunch }
-      },
-      
-      indices: {
-        probability: classification.indices.probability,
-        volatility: classification.indices.volatility,
-        danger: classification.indices.danger
-      },
-      
-      prediction: classification.primary,
-      alternatives: classification.all.slice(1),
-      
-      dsoSignature: this.computeDSOSignature(fuel, gradient, catalyst, solarAngle)
+      ...this.buildExplanation(regionData.lat, fuel, gradient, date, inputs)
     };
   }
 
   /**
-   * Batch inference for full year at a region
+   * explain() for any latitude/longitude
    */
-  inferYear(region, climateOffset = 0) {
-    const results = [];
-    for (let day = 1; day <= 365; day++) {
-      results.push(this.infer(region, day, climateOffset));
+  explainAt(lat, lon, date, climate = 0, inputs = {}) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: `Invalid coordinates: ${lat}, ${lon}` };
     }
-    return results;
+    if (!this.isValidDate(date)) {
+      return { error: `Invalid date: ${date}` };
+    }
+    const inputError = this.getInputError(inputs) || this.getClimateError(climate);
+    if (inputError) {
+      return { error: inputError };
+    }
+    
+    const field = this.getFieldAt(lat, lon);
+    
+    return {
+      region: null,
+      longitude: lon,
+      nearestRegion: field.nearestRegion,
+      ...this.buildExplanation(
+        lat, this.adjustFuel(field.fuel, climate, field.gulfFed), this.adjustGradient(field.gradient, climate), date, inputs
+      )
+    };
   }
 
   /**
-   * Compare regions on a specific day
+   * Shared body for explain() and explainAt()
+   * 
+   * D = E_fuel × (∂E/∂φ) × (dθ/dt)² × sin²(α), so
+   *   ln D = ln E_fuel + ln(∂E/∂φ) + 2·ln(dθ/dt) + 2·ln sin(α)
+   * and each term's share of ln D shows which factor holds D down most.
    */
-  compareRegions(dayOfYear, climateOffset = 0) {
-    const results = {};
-    for (const region of Object.keys(this.REGIONAL_FUEL)) {
-      results[region] = this.infer(region, dayOfYear, climateOffset);
+  buildExplanation(lat, fuel, gradient, date, inputs = {}) {
+    const when = this.toDate(date);
+    const catalyst = this.getCatalyst(when);
+    const solarAngle = this.getSolarAngle(lat, when);
+    const classification = this.classifyStorm(fuel, gradient, catalyst, solarAngle, lat, inputs);
+    const danger = classification.indices.danger;
+    
+    const factors = { fuel, gradient, catalyst, solarAngle };
+    const exponents = { fuel: 1, gradient: 1, catalyst: 2, solarAngle: 2 };
+    
+    // ∂D/∂x = k·D/x for a factor x with exponent k (written out so it holds at D = 0)
+    const partials = {
+      fuel: gradient * catalyst ** 2 * solarAngle ** 2,
+      gradient: fuel * catalyst ** 2 * solarAngle ** 2,
+      catalyst: 2 * fuel * gradient * catalyst * solarAngle ** 2,
+      solarAngle: 2 * fuel * gradient * catalyst ** 2 * solarAngle
+    };
+    const sensitivities = {};
+    for (const name of Object.keys(factors)) {
+      sensitivities[name] = {
+        partial: partials[name],
+        elasticity: danger > 0 ? partials[name] * factors[name] / danger : null
+      };
     }
-    return results;
+    
+    // Shares only read as shares while every factor is in (0, 1] and
+    // D < 1; the limiting factor is the most negative k·ln x either way
+    let logDangerShares = null;
+    let limitingFactor = Object.keys(factors).find(name => factors[name] <= 0) || null;
+    if (!limitingFactor && Object.values(factors).some(x => x < 1)) {
+      const logTerms = {};
+      for (const name of Object.keys(factors)) {
+        logTerms[name] = exponents[name] * Math.log(factors[name]);
+      }
+      limitingFactor = Object.keys(logTerms).reduce((a, b) => (logTerms[b] < logTerms[a] ? b : a));
+      if (danger < 1 && Object.values(factors).every(x => x <= 1)) {
+        const logDanger = Math.log(danger);
+        logDangerShares = {};
+        for (const name of Object.keys(factors)) {
+          logDangerShares[name] = logTerms[name] / logDanger;
+        }
+      }
+    }
+    
+    const variables = this.getRuleVariables(fuel, gradient, catalyst, solarAngle, lat, inputs);
+    const rules = this.stormRules.explain(variables, this.THRESHOLDS, inputs).map(rule => ({
+      ...rule,
+      conditions: rule.conditions.map(c => ({ ...c, text: this.describeCondition(rule.type, c) }))
+    }));
+    
+    // Rules that fail on a single condition, closest first
+    const nearMisses = rules
+      .filter(r => !r.matched && r.missingInputs.length === 0)
+      .map(r => r.conditions.filter(c => !c.passed))
+      .filter(failed => failed.length === 1 && failed[0].margin !== null)
+      .map(([c]) => c)
+      .sort((a, b) => b.margin - a.margin)
+      .map(c => c.text);
+    
+    const primaryRule = rules.find(r => r.type === classification.primary.type);
+    const tightest = primaryRule && primaryRule.conditions
+      .filter(c => c.margin !== null)
+      .reduce((a, b) => (!a || b.margin < a.margin ? b : a), null);
+    
+    return {
+      latitude: lat,
+      date: this.formatDate(when),
+      isoDate: this.toISODate(when),
+      provenance: this.getProvenance(),
+      prediction: classification.primary,
+      indices: classification.indices,
+      factors,
+      sensitivities,
+      logDangerShares,
+      limitingFactor,
+      rules,
+      nearMisses,
+      tightestCondition: tightest ? tightest.text : null
+    };
+  }
+
+  /**
+   * Plain-language margin, e.g. "gradient 0.05 below the TORNADO cutoff"
+   */
+  describeCondition(type, condition) {
+    const { subject, value, limit, margin, negated, op, passed, expression } = condition;
+    if (margin === null) {
+      return `${expression} ${passed ? 'holds' : 'fails'} for ${type}`;
+    }
+    const lowerBound = (op === '>' || op === '>=') !== negated;
+    const side = value >= limit ? 'above' : 'below';
+    return `${subject} ${Math.abs(value - limit).toFixed(2)} ${side} the ${type} ${lowerBound ? 'cutoff' : 'ceiling'}`;
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -598,10 +3219,18 @@ class DSOWeatherEngine {
     return 'MINIMAL - Oblique angle';
   }
 
-  dayOfYearToDate(doy) {
-    const date = new Date(2024, 0, 1);
-    date.setDate(doy);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  formatDate(date) {
+    return this.toDate(date).toLocaleDateString('en-US', {
+      month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+    });
+  }
+
+  toISODate(date) {
+    return this.toDate(date).toISOString().slice(0, 10);
+  }
+
+  dayOfYearToDate(doy, year = this.year) {
+    return this.formatDate(new Date(Date.UTC(year, 0, doy, 12)));
   }
 
   // ═══════════════════════════════════════════════════════════════
@@ -808,7 +3437,10 @@ function runDemo() {
   return { engine, validation };
 }
 
-// Run
-const { engine, validation } = runDemo();
+// Run the demonstration only when executed directly (node DSOWeatherEngine.js)
+if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+  runDemo();
+}
 
-module.exports = { DSOWeatherEngine, engine };
+return { DSOWeatherEngine, engine: new DSOWeatherEngine() };
+}));
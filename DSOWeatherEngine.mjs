@@ -0,0 +1,11 @@
+/**
+ * DSO Weather Engine - ES module entry point
+ * Re-exports the UMD engine for `import` (Node or bundlers):
+ *
+ *   import { DSOWeatherEngine } from './DSOWeatherEngine.mjs';
+ */
+
+import dso from './DSOWeatherEngine.js';
+
+export const { DSOWeatherEngine, engine } = dso;
+export default DSOWeatherEngine;
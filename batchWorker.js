@@ -0,0 +1,15 @@
+/**
+ * DSO Batch Worker
+ * worker_threads entry for DSOWeatherEngine.evaluateBatchParallel():
+ * evaluates one slice of days of a prepared batch and posts the
+ * numeric columns back (buffers transferred, not copied)
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { DSOWeatherEngine } = require('./DSOWeatherEngine.js');
+
+// Factors arrive already climate-adjusted; no storm type rules needed
+const engine = new DSOWeatherEngine({ stormTypes: {} });
+const columns = engine.runBatch(workerData.prepared);
+
+parentPort.postMessage(columns, Object.values(columns).map(column => column.buffer));
@@ -1,210 +1,320 @@
 /**
  * DSO Weather Hypothesis Bayesian Validation Engine
  * Tests whether observed data supports DSO E-field weather model
+ *
+ * The evidence items, their sources and the likelihood each model gives
+ * them live in weatherHypotheses.json under `bayesianValidation`
+ * (or any JSON file of the same shape, see loadEvidence):
+ *
+ *   {
+ *     "prior": 0.1,
+ *     "evidence": {
+ *       "peak_day_shift": {
+ *         "observed": "...", "source": "...", "confidence": 0.92,
+ *         "dso":  { "prediction": "...", "likelihood_of_observed": 0.85, "mechanism": "..." },
+ *         "null": { "prediction": "...", "likelihood_of_observed": 0.25 }
+ *       }
+ *     }
+ *   }
+ *
+ * A likelihood may also be uncertain: { "beta": [α, β] } or
+ * { "interval": [low, high] } (uniform). Point figures use the mean;
+ * validate() then adds Monte Carlo credible intervals (see UNCERTAINTY).
+ *
+ * Items that measure the same effect are declared in `groups` and
+ * enter the combined BF as one factor instead of several (see DEPENDENCE):
+ *
+ *   "groups": {
+ *     "clustering": {
+ *       "members": ["tornado_days_trend", "days_with_30plus"],
+ *       "dependence": "correlation", "correlation": 0.7
+ *     }
+ *   }
+ *
+ * Each item's BF can be discounted by its source `confidence`; the
+ * evidence set's `weighting` (or validate's option) picks the scheme
+ * from WEIGHTING_SCHEMES.
+ *
+ * validate() returns the Bayes factors, categories and posteriors as
+ * data; runValidation() prints the console report.
+ *
+ * UMD module: require() under Node, window.DSOBayes in the browser after
+ * profiles.js. Browsers fetch the evidence (see fetchEvidence).
  */
 
-const fs = require('fs');
-
-// Load hypotheses
-const hypotheses = JSON.parse(fs.readFileSync('./weatherHypotheses.json', 'utf8'));
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./profiles.js'), require('./weatherHypotheses.json'));
+  } else {
+    root.DSOBayes = factory(root.DSOProfiles, null);
+  }
+}(typeof self !== 'undefined' ? self : this, function (profiles, hypotheses) {
 
 /**
  * Bayesian Framework:
  * P(H|E) = P(E|H) × P(H) / P(E)
- * 
+ *
  * Where:
  * P(H) = Prior probability hypothesis is true
  * P(E|H) = Likelihood of evidence given hypothesis true
  * P(E|¬H) = Likelihood of evidence given hypothesis false (null/conventional model)
  * P(H|E) = Posterior probability after seeing evidence
- * 
+ *
  * Bayes Factor: BF = P(E|H) / P(E|¬H)
  * BF > 10 = Strong evidence for H
  * BF > 100 = Decisive evidence for H
  */
 
-// Historical evidence database (observed data)
-const evidence = {
-  "tornado_days_trend": {
-    observed: "decreased from 150 to 100 (1970s-2020s)",
-    value: -33,
-    unit: "percent",
-    source: "Nature npj Climate 2024",
-    confidence: 0.95
-  },
-  "tornadoes_per_outbreak": {
-    observed: "increased from 10 to 15 (1950s-2020s)",
-    value: 50,
-    unit: "percent", 
-    source: "Brooks et al., Tippett 2016",
-    confidence: 0.90
-  },
-  "peak_day_shift": {
-    observed: "shifted from June 14 to May 24",
-    value: -21,
-    unit: "days",
-    source: "Long & Stoy 2014",
-    confidence: 0.92
-  },
-  "summer_tornado_decline": {
-    observed: "dramatic decrease in June-August tornado days",
-    value: "confirmed",
-    source: "Nature npj Climate 2024",
-    confidence: 0.93
-  },
-  "cool_season_increase": {
-    observed: "November-February tornado activity increasing in Southeast",
-    value: "confirmed",
-    source: "NOAA, Agee & Larson 2016",
-    confidence: 0.88
-  },
-  "eastward_migration": {
-    observed: "Great Plains decreasing, Southeast increasing",
-    value: "~1 tornado/year eastward since 1960",
-    source: "Gensini & Brooks 2018",
-    confidence: 0.91
-  },
-  "latitude_migration": {
-    observed: "Monthly centroid follows 30°N(Jan) to 45°N(July)",
-    value: "confirmed",
-    source: "NOAA climatology",
-    confidence: 0.95
-  },
-  "afternoon_peak": {
-    observed: "3-7 PM peak tornado occurrence",
-    value: "confirmed",
-    source: "NOAA SPC",
-    confidence: 0.98
-  },
-  "gulf_sst_correlation": {
-    observed: "Arkansas tornado count correlates with Gulf SST",
-    value: "~50% increase per 0.5°C",
-    source: "Regional analysis",
-    confidence: 0.75
-  },
-  "days_with_30plus": {
-    observed: "increased from 2 (1973) to 9 (2011)",
-    value: 350,
-    unit: "percent",
-    source: "NOAA SPC",
-    confidence: 0.95
-  }
+const DEFAULT_PRIOR = 0.10;  // Only 10% prior belief novel theory is correct
+const DEFAULT_DRAWS = 10000;
+const DEFAULT_SEED = 1;      // Fixed by default: same evidence, same intervals
+
+// How an item's source confidence c ∈ [0, 1] discounts its BF
+const WEIGHTING_SCHEMES = {
+  none: { label: 'none', formula: 'BF' },
+  linear: { label: 'linear shrink', formula: '1 + (BF - 1) × c' },
+  tempered: { label: 'tempered likelihood', formula: 'BF^c = P(E|DSO)^c / P(E|Null)^c' }
 };
+const DEFAULT_WEIGHTING = 'none';
+
+// Tiers of support for DSO (see interpretBF), strongest first
+const BF_TIERS = [
+  { min: 100, label: 'DECISIVE' },
+  { min: 30, label: 'VERY STRONG' },
+  { min: 10, label: 'STRONG' },
+  { min: 3, label: 'MODERATE' },
+  { min: 1, label: 'WEAK' }
+];
+
+// Priors for the robustness sweep, very skeptical to neutral
+const PRIOR_SWEEP = [0.001, 0.005, 0.01, 0.02, 0.05, 0.10, 0.20, 0.30, 0.50];
+
+// ═══════════════════════════════════════════════════════════════
+//                    EVIDENCE
+// ═══════════════════════════════════════════════════════════════
+
+const PROBABILITY = { type: 'number', exclusiveMinimum: 0, maximum: 1 };
 
-// Null hypothesis predictions (conventional meteorology)
-const nullModel = {
-  "tornado_days_trend": {
-    prediction: "stable or increasing with warming",
-    likelihood_of_observed: 0.15  // Low - conventional model doesn't predict this
-  },
-  "tornadoes_per_outbreak": {
-    prediction: "no systematic change expected",
-    likelihood_of_observed: 0.20
-  },
-  "peak_day_shift": {
-    prediction: "stable or slight shift",
-    likelihood_of_observed: 0.25
-  },
-  "summer_tornado_decline": {
-    prediction: "stable or increasing (more energy)",
-    likelihood_of_observed: 0.10  // Very unexpected in conventional model
-  },
-  "cool_season_increase": {
-    prediction: "possible with warming",
-    likelihood_of_observed: 0.50  // This is predicted by conventional
-  },
-  "eastward_migration": {
-    prediction: "not specifically predicted",
-    likelihood_of_observed: 0.30
-  },
-  "latitude_migration": {
-    prediction: "known seasonal pattern",
-    likelihood_of_observed: 0.90  // Well known, both models predict
-  },
-  "afternoon_peak": {
-    prediction: "known diurnal pattern",
-    likelihood_of_observed: 0.95  // Well known, both models predict
-  },
-  "gulf_sst_correlation": {
-    prediction: "expected with moisture hypothesis",
-    likelihood_of_observed: 0.60
-  },
-  "days_with_30plus": {
-    prediction: "not specifically predicted",
-    likelihood_of_observed: 0.20
+// A point value, { beta: [α, β] } or { interval: [low, high] }
+const LIKELIHOOD = {
+  ...PROBABILITY,
+  type: ['number', 'object'],
+  additionalProperties: false,
+  properties: {
+    beta: { type: 'array', items: { type: 'number', exclusiveMinimum: 0 }, minItems: 2, maxItems: 2 },
+    interval: { type: 'array', items: PROBABILITY, minItems: 2, maxItems: 2 }
   }
 };
 
-// DSO model predictions
-const dsoModel = {
-  "tornado_days_trend": {
-    prediction: "decreasing (gradient concentration)",
-    likelihood_of_observed: 0.85,
-    mechanism: "Polar amplification reduces gradient frequency"
-  },
-  "tornadoes_per_outbreak": {
-    prediction: "increasing (more fuel per event)",
-    likelihood_of_observed: 0.80,
-    mechanism: "When gradient available, more E_fuel to discharge"
-  },
-  "peak_day_shift": {
-    prediction: "earlier (threshold crossed sooner)",
-    likelihood_of_observed: 0.85,
-    mechanism: "Higher Gulf SST reaches E_threshold earlier"
-  },
-  "summer_tornado_decline": {
-    prediction: "decline (catalyst minimum)",
-    likelihood_of_observed: 0.90,
-    mechanism: "dθ/dt → 0 at solstice negates high fuel"
-  },
-  "cool_season_increase": {
-    prediction: "increase (fuel available earlier)",
-    likelihood_of_observed: 0.75,
-    mechanism: "Gulf warming extends E_fuel season"
-  },
-  "eastward_migration": {
-    prediction: "eastward (closer to fuel source)",
-    likelihood_of_observed: 0.80,
-    mechanism: "Optimal zone shifts toward warming Gulf"
-  },
-  "latitude_migration": {
-    prediction: "follows solar angle optimization",
-    likelihood_of_observed: 0.95,
-    mechanism: "Storm belt tracks optimal sin(α)"
-  },
-  "afternoon_peak": {
-    prediction: "3-7 PM (E-accumulation time)",
-    likelihood_of_observed: 0.95,
-    mechanism: "~6-8 hour transfer from solar input to threshold"
-  },
-  "gulf_sst_correlation": {
-    prediction: "linear correlation (E_fuel scaling)",
-    likelihood_of_observed: 0.85,
-    mechanism: "E_fuel directly proportional to SST"
-  },
-  "days_with_30plus": {
-    prediction: "increasing (gradient concentration)",
-    likelihood_of_observed: 0.85,
-    mechanism: "Fewer days but more intense when conditions align"
+const MODEL_LIKELIHOOD = {
+  type: 'object',
+  required: ['likelihood_of_observed'],
+  properties: { likelihood_of_observed: LIKELIHOOD }
+};
+
+const EVIDENCE_SCHEMA = {
+  type: 'object',
+  required: ['evidence'],
+  properties: {
+    description: { type: 'string' },
+    prior: { type: 'number', exclusiveMinimum: 0, maximum: 0.999 },
+    priorNote: { type: 'string' },
+    likelihoodNote: { type: 'string' },
+    weighting: { enum: Object.keys(WEIGHTING_SCHEMES) },
+    evidence: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z0-9_]+$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['observed', 'source', 'confidence', 'dso', 'null'],
+        properties: {
+          observed: { type: 'string' },
+          value: { type: ['number', 'string'] },
+          unit: { type: 'string' },
+          source: { type: 'string' },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          dso: {
+            type: 'object',
+            required: ['prediction', 'likelihood_of_observed'],
+            properties: {
+              prediction: { type: 'string' },
+              likelihood_of_observed: LIKELIHOOD,
+              mechanism: { type: 'string' }
+            }
+          },
+          null: {
+            type: 'object',
+            required: ['prediction', 'likelihood_of_observed'],
+            properties: {
+              prediction: { type: 'string' },
+              likelihood_of_observed: LIKELIHOOD
+            }
+          }
+        }
+      }
+    },
+    groups: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-z0-9_]+$' },
+      additionalProperties: {
+        type: 'object',
+        required: ['members', 'dependence'],
+        additionalProperties: false,
+        properties: {
+          members: { type: 'array', items: { type: 'string' }, minItems: 2 },
+          dependence: { enum: ['correlation', 'shared_mechanism'] },
+          correlation: { type: 'number', minimum: 0, maximum: 1 },
+          mechanism: { type: 'string' },
+          dso: MODEL_LIKELIHOOD,     // Joint likelihoods, when elicited
+          null: MODEL_LIKELIHOOD
+        }
+      }
+    }
   }
 };
 
+/**
+ * Evidence set from a JSON file path (Node only), a hypotheses document
+ * with a `bayesianValidation` section, or a bare `{ prior, evidence }`
+ * object. Defaults to the bundled weatherHypotheses.json.
+ * Returns { prior, priorNote, weighting,
+ *           items: [{ key, observed, ..., dso, null }],
+ *           groups: [{ key, members, dependence, ... }] }
+ */
+function loadEvidence(source = hypotheses) {
+  if (!source) {
+    throw new Error('No evidence loaded (browsers use fetchEvidence)');
+  }
+  const doc = typeof source === 'string'
+    ? JSON.parse(require('fs').readFileSync(source, 'utf8'))
+    : source;
+  const set = doc.bayesianValidation || doc;
+
+  const errors = profiles.validate(set, EVIDENCE_SCHEMA);
+  if (errors.length === 0) {
+    for (const [key, item] of Object.entries(set.evidence)) {
+      for (const model of ['dso', 'null']) {
+        const error = getLikelihoodError(item[model].likelihood_of_observed);
+        if (error) errors.push(`$.evidence.${key}.${model}.likelihood_of_observed: ${error}`);
+      }
+    }
+    errors.push(...getGroupErrors(set.groups || {}, set.evidence));
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid evidence: ${errors.join('; ')}`);
+  }
+
+  return {
+    prior: set.prior ?? DEFAULT_PRIOR,
+    priorNote: set.priorNote || null,
+    weighting: set.weighting || DEFAULT_WEIGHTING,
+    items: Object.entries(set.evidence).map(([key, item]) => ({ key, ...item })),
+    groups: Object.entries(set.groups || {}).map(([key, group]) => ({ key, ...group }))
+  };
+}
+
+/**
+ * Browser counterpart of loadEvidence: fetch a hypotheses or evidence file
+ */
+async function fetchEvidence(url = 'weatherHypotheses.json') {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load evidence from ${url}: ${response.status}`);
+  }
+  return loadEvidence(await response.json());
+}
+
+/**
+ * What the schema can't say about an uncertain likelihood, or null
+ */
+function getLikelihoodError(spec) {
+  if (typeof spec === 'number') return null;
+  const forms = Object.keys(spec);
+  if (forms.length !== 1) {
+    return 'give exactly one of beta, interval';
+  }
+  if (spec.interval && spec.interval[0] > spec.interval[1]) {
+    return 'interval low must not exceed high';
+  }
+  return null;
+}
+
+/**
+ * Cross-reference checks on evidence groups
+ */
+function getGroupErrors(groups, evidence) {
+  const errors = [];
+  const owner = {};
+  for (const [key, group] of Object.entries(groups)) {
+    const path = `$.groups.${key}`;
+    for (const member of group.members) {
+      if (!evidence[member]) {
+        errors.push(`${path}: unknown evidence item '${member}'`);
+      } else if (owner[member]) {
+        errors.push(`${path}: '${member}' is already in group '${owner[member]}'`);
+      } else {
+        owner[member] = key;
+      }
+    }
+    if ((group.dependence === 'correlation') !== (group.correlation !== undefined)) {
+      errors.push(`${path}: give 'correlation' exactly when dependence is 'correlation'`);
+    }
+    if (!group.dso !== !group.null) {
+      errors.push(`${path}: joint likelihoods need both 'dso' and 'null'`);
+    }
+    for (const model of ['dso', 'null']) {
+      const error = group[model] && getLikelihoodError(group[model].likelihood_of_observed);
+      if (error) errors.push(`${path}.${model}.likelihood_of_observed: ${error}`);
+    }
+  }
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    BAYES FACTORS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Point value of a likelihood: the number itself, the Beta mean
+ * α / (α + β), or the interval midpoint
+ */
+function likelihoodValue(spec) {
+  if (typeof spec === 'number') return spec;
+  if (spec.beta) return spec.beta[0] / (spec.beta[0] + spec.beta[1]);
+  return (spec.interval[0] + spec.interval[1]) / 2;
+}
+
 /**
  * Calculate Bayes Factor for single evidence item
+ * `value` reads a likelihood spec (point value, or a Monte Carlo draw)
  */
-function bayesFactor(evidenceKey) {
-  const pE_H = dsoModel[evidenceKey].likelihood_of_observed;
-  const pE_notH = nullModel[evidenceKey].likelihood_of_observed;
+function bayesFactor(item, value = likelihoodValue) {
+  const pE_H = value(item.dso.likelihood_of_observed);
+  const pE_notH = value(item.null.likelihood_of_observed);
   return pE_H / pE_notH;
 }
 
 /**
- * Calculate combined Bayes Factor (product of independent BFs)
+ * Discount a BF by the confidence c in its data (see WEIGHTING_SCHEMES)
+ * Both schemes leave BF alone at c = 1 and reduce it to 1 at c = 0
+ */
+function weightBayesFactor(bf, confidence, weighting = DEFAULT_WEIGHTING) {
+  if (weighting === 'linear') return 1 + (bf - 1) * confidence;
+  if (weighting === 'tempered') return Math.pow(bf, confidence);
+  return bf;
+}
+
+/**
+ * Calculate combined Bayes Factor: product over independent factors,
+ * where each declared group counts as one factor (see getFactors).
+ * Without groups this is the naive product of every item's BF.
+ * options: { weighting, value } - confidence scheme, and how to read
+ * a likelihood spec (point value by default)
  */
-function combinedBayesFactor(evidenceKeys) {
+function combinedBayesFactor(items, groups = [], options = {}) {
   let combined = 1;
-  for (const key of evidenceKeys) {
-    combined *= bayesFactor(key);
+  for (const factor of getFactors(items, groups)) {
+    combined *= factorBayesFactor(factor, options);
   }
   return combined;
 }
@@ -212,9 +322,10 @@ function combinedBayesFactor(evidenceKeys) {
 /**
  * Calculate posterior probability
  * P(H|E) = P(E|H) × P(H) / [P(E|H) × P(H) + P(E|¬H) × P(¬H)]
+ * options as for combinedBayesFactor
  */
-function posteriorProbability(priorH, evidenceKeys) {
-  const bf = combinedBayesFactor(evidenceKeys);
+function posteriorProbability(priorH, items, groups = [], options = {}) {
+  const bf = combinedBayesFactor(items, groups, options);
   const priorOdds = priorH / (1 - priorH);
   const posteriorOdds = priorOdds * bf;
   return posteriorOdds / (1 + posteriorOdds);
@@ -224,120 +335,562 @@ function posteriorProbability(priorH, evidenceKeys) {
  * Interpret Bayes Factor
  */
 function interpretBF(bf) {
-  if (bf > 100) return "DECISIVE evidence for DSO";
-  if (bf > 30) return "VERY STRONG evidence for DSO";
-  if (bf > 10) return "STRONG evidence for DSO";
-  if (bf > 3) return "MODERATE evidence for DSO";
-  if (bf > 1) return "WEAK evidence for DSO";
+  for (const tier of BF_TIERS) {
+    if (bf > tier.min) return `${tier.label} evidence for DSO`;
+  }
   if (bf === 1) return "No evidence either way";
   if (bf > 0.33) return "WEAK evidence against DSO";
   if (bf > 0.1) return "MODERATE evidence against DSO";
   return "STRONG evidence against DSO";
 }
 
+// ═══════════════════════════════════════════════════════════════
+//                    DEPENDENCE
+// ═══════════════════════════════════════════════════════════════
+
 /**
- * Main validation routine
+ * Split items into the independent factors of the combined BF: one
+ * per group with at least two of its members present, one per
+ * remaining item. `complete` marks groups with every member present
+ * (only those can use the group's joint likelihoods).
  */
-function runValidation() {
+function getFactors(items, groups = []) {
+  const byKey = new Map(items.map(item => [item.key, item]));
+  const grouped = new Set();
+  const factors = [];
+  for (const group of groups) {
+    const members = group.members.filter(key => byKey.has(key));
+    if (members.length < 2) continue;
+    members.forEach(key => grouped.add(key));
+    factors.push({
+      key: group.key,
+      group,
+      items: members.map(key => byKey.get(key)),
+      complete: members.length === group.members.length
+    });
+  }
+  for (const item of items) {
+    if (!grouped.has(item.key)) factors.push({ key: item.key, group: null, items: [item], complete: true });
+  }
+  return factors;
+}
+
+/**
+ * Power applied to the product of n member likelihoods:
+ * 1 / (1 + (n - 1)ρ), i.e. the effective number of independent
+ * items over n. ρ = 0 is independence; a shared mechanism is ρ = 1,
+ * the geometric mean - the group counts as a single item.
+ */
+function dependenceExponent(group, count) {
+  const rho = group.dependence === 'shared_mechanism' ? 1 : group.correlation;
+  return 1 / (1 + (count - 1) * rho);
+}
+
+/**
+ * Likelihood of a factor's evidence under 'dso' or 'null': the item's
+ * own, the group's joint likelihood when elicited, or else the
+ * dependence-discounted product of the members'
+ */
+function factorLikelihood(factor, model, value = likelihoodValue) {
+  if (!factor.group) {
+    return value(factor.items[0][model].likelihood_of_observed);
+  }
+  if (factor.complete && factor.group[model]) {
+    return value(factor.group[model].likelihood_of_observed);
+  }
+  const product = factor.items.reduce((p, item) => p * value(item[model].likelihood_of_observed), 1);
+  return Math.pow(product, dependenceExponent(factor.group, factor.items.length));
+}
+
+/**
+ * Confidence-weighted BF of a factor. Group members are weighted one
+ * by one before the dependence discount; joint group likelihoods are
+ * weighted by the members' mean confidence.
+ */
+function factorBayesFactor(factor, { weighting = DEFAULT_WEIGHTING, value = likelihoodValue } = {}) {
+  const { group, items } = factor;
+  if (group && factor.complete && group.dso) {
+    const confidence = items.reduce((sum, item) => sum + item.confidence, 0) / items.length;
+    return weightBayesFactor(factorLikelihood(factor, 'dso', value) / factorLikelihood(factor, 'null', value),
+      confidence, weighting);
+  }
+  const product = items.reduce((p, item) =>
+    p * weightBayesFactor(bayesFactor(item, value), item.confidence, weighting), 1);
+  return group ? Math.pow(product, dependenceExponent(group, items.length)) : product;
+}
+
+/**
+ * Sort scored items into the report's categories:
+ *   discriminating - DSO predicts it, the null model doesn't
+ *   shared         - both models predict it
+ *   supportive     - at least moderate evidence for DSO (BF > 3)
+ */
+function categorizeEvidence(results) {
+  return {
+    discriminating: results.filter(r => r.nullLikelihood < 0.30 && r.dsoLikelihood > 0.70),
+    shared: results.filter(r => r.nullLikelihood > 0.50 && r.dsoLikelihood > 0.50),
+    supportive: results.filter(r => r.bf > 3)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Score every evidence item and combine them
+ * options.prior and options.weighting override the evidence set's;
+ * options.priors replaces PRIOR_SWEEP in the robustness analysis
+ * Returns plain data: per-item results, category keys, combined BFs,
+ * posteriors, robustness and the verdict, all under the chosen weighting
+ */
+function validate(evidence = loadEvidence(), options = {}) {
+  const prior = options.prior ?? evidence.prior;
+  if (!(prior > 0 && prior < 1)) {
+    throw new Error(`Prior must be between 0 and 1, got ${prior}`);
+  }
+  const weighting = options.weighting ?? evidence.weighting;
+  if (!WEIGHTING_SCHEMES[weighting]) {
+    throw new Error(`Unknown weighting: ${weighting} (expected ${Object.keys(WEIGHTING_SCHEMES).join(', ')})`);
+  }
+  const priors = options.priors ?? PRIOR_SWEEP;
+  if (!priors.every(p => p > 0 && p < 1)) {
+    throw new Error(`Sweep priors must be between 0 and 1, got ${priors.join(', ')}`);
+  }
+  const uncertainty = getUncertaintyOptions(options.uncertainty);
+  const weighted = { weighting };
+
+  const results = evidence.items.map(item => {
+    const bf = bayesFactor(item);
+    return {
+      key: item.key,
+      observed: item.observed,
+      source: item.source,
+      confidence: item.confidence,
+      bf,
+      weightedBF: weightBayesFactor(bf, item.confidence, weighting),
+      interpretation: interpretBF(bf),
+      dsoPrediction: item.dso.prediction,
+      nullPrediction: item.null.prediction,
+      dsoLikelihood: likelihoodValue(item.dso.likelihood_of_observed),
+      nullLikelihood: likelihoodValue(item.null.likelihood_of_observed),
+      dsoDistribution: typeof item.dso.likelihood_of_observed === 'object' ? item.dso.likelihood_of_observed : null,
+      nullDistribution: typeof item.null.likelihood_of_observed === 'object' ? item.null.likelihood_of_observed : null,
+      mechanism: item.dso.mechanism || null
+    };
+  });
+
+  const { groups } = evidence;
+  const categories = categorizeEvidence(results);
+  const discriminating = evidence.items.filter(item =>
+    categories.discriminating.some(r => r.key === item.key));
+  const combinedBF = combinedBayesFactor(evidence.items, groups, weighted);
+
+  const groupResults = getFactors(evidence.items, groups).filter(factor => factor.group).map(factor => ({
+    key: factor.key,
+    members: factor.items.map(item => item.key),
+    dependence: factor.group.dependence,
+    correlation: factor.group.dependence === 'correlation' ? factor.group.correlation : 1,
+    mechanism: factor.group.mechanism || null,
+    joint: Boolean(factor.complete && factor.group.dso),
+    dsoLikelihood: factorLikelihood(factor, 'dso'),
+    nullLikelihood: factorLikelihood(factor, 'null'),
+    bf: factorBayesFactor(factor, weighted),
+    naiveBF: combinedBayesFactor(factor.items, [], weighted)
+  }));
+
+  // Headline totals under every scheme, for comparison
+  const byWeighting = {};
+  for (const scheme of Object.keys(WEIGHTING_SCHEMES)) {
+    byWeighting[scheme] = {
+      combinedBF: combinedBayesFactor(evidence.items, groups, { weighting: scheme }),
+      posteriorAll: posteriorProbability(prior, evidence.items, groups, { weighting: scheme })
+    };
+  }
+
+  return {
+    prior,
+    priorNote: options.prior === undefined ? evidence.priorNote : null,
+    weighting: { scheme: weighting, ...WEIGHTING_SCHEMES[weighting] },
+    posteriorAll: posteriorProbability(prior, evidence.items, groups, weighted),
+    posteriorDiscrim: posteriorProbability(prior, discriminating, groups, weighted),
+    combinedBF,
+    discriminatingBF: combinedBayesFactor(discriminating, groups, weighted),
+    naive: {
+      posteriorAll: posteriorProbability(prior, evidence.items, [], weighted),
+      posteriorDiscrim: posteriorProbability(prior, discriminating, [], weighted),
+      combinedBF: combinedBayesFactor(evidence.items, [], weighted),
+      discriminatingBF: combinedBayesFactor(discriminating, [], weighted)
+    },
+    byWeighting,
+    evidenceCount: results.length,
+    factorCount: getFactors(evidence.items, groups).length,
+    discriminatingCount: discriminating.length,
+    categories: {
+      discriminating: categories.discriminating.map(r => r.key),
+      shared: categories.shared.map(r => r.key),
+      supportive: categories.supportive.map(r => r.key)
+    },
+    verdict: interpretBF(combinedBF),
+    results,
+    groups: groupResults,
+    robustness: getRobustness(evidence.items, groups, discriminating, priors, weighted),
+    uncertainty: uncertainty && results.some(r => r.dsoDistribution || r.nullDistribution)
+      ? simulate(evidence.items, groups, discriminating, prior, weighting, uncertainty)
+      : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    ROBUSTNESS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Smallest prior whose posterior odds, prior odds × BF, exceed
+ * `odds`: p / (1 - p) × BF = odds  →  p = odds / (odds + BF)
+ */
+function minimumPrior(bf, odds) {
+  return odds / (odds + bf);
+}
+
+/**
+ * Each item's share of log10 of the combined BF. Grouped items carry
+ * their own weighted log BF times the group's dependence exponent, so
+ * the parts add up to the total; a joint group likelihood is split
+ * evenly across its members.
+ */
+function getContributions(items, groups, options) {
+  const contributions = [];
+  for (const factor of getFactors(items, groups)) {
+    const { group } = factor;
+    if (group && factor.complete && group.dso) {
+      const log10BF = Math.log10(factorBayesFactor(factor, options)) / factor.items.length;
+      factor.items.forEach(item => contributions.push({ key: item.key, group: group.key, log10BF }));
+      continue;
+    }
+    const exponent = group ? dependenceExponent(group, factor.items.length) : 1;
+    for (const item of factor.items) {
+      const bf = weightBayesFactor(bayesFactor(item), item.confidence, options.weighting);
+      contributions.push({ key: item.key, group: group ? group.key : null, log10BF: exponent * Math.log10(bf) });
+    }
+  }
+  const total = contributions.reduce((sum, c) => sum + c.log10BF, 0);
+  return contributions
+    .map(c => ({ ...c, share: total !== 0 ? c.log10BF / total : 0 }))
+    .sort((a, b) => b.log10BF - a.log10BF);
+}
+
+/**
+ * How much the verdict depends on the prior and on single items:
+ *   priorSweep   - posteriors over `priors`
+ *   tierPriors   - minimum prior for the posterior odds to pass each
+ *                  BF_TIERS threshold
+ *   leaveOneOut  - combined BF and tier with each item dropped
+ *   contributions - each item's part of log10 BF
+ *   dominant     - the largest contributor; fragile - items whose
+ *                  removal moves the verdict to another tier
+ */
+function getRobustness(items, groups, discriminating, priors, options) {
+  const combinedBF = combinedBayesFactor(items, groups, options);
+  const verdict = interpretBF(combinedBF);
+
+  const priorSweep = priors.map(prior => ({
+    prior,
+    posteriorAll: posteriorProbability(prior, items, groups, options),
+    posteriorDiscrim: posteriorProbability(prior, discriminating, groups, options)
+  }));
+
+  const tierPriors = BF_TIERS.map(tier => ({
+    tier: tier.label,
+    odds: tier.min,
+    posterior: tier.min / (1 + tier.min),
+    minPrior: minimumPrior(combinedBF, tier.min)
+  }));
+
+  const leaveOneOut = items.map(item => {
+    const bf = combinedBayesFactor(items.filter(other => other !== item), groups, options);
+    return {
+      key: item.key,
+      combinedBF: bf,
+      ratio: combinedBF / bf,
+      verdict: interpretBF(bf),
+      changesVerdict: interpretBF(bf) !== verdict
+    };
+  });
+
+  const contributions = getContributions(items, groups, options);
+
+  return {
+    combinedBF,
+    log10BF: Math.log10(combinedBF),
+    priorSweep,
+    tierPriors,
+    leaveOneOut,
+    contributions,
+    dominant: contributions[0] || null,
+    fragile: leaveOneOut.filter(r => r.changesVerdict).map(r => r.key)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    UNCERTAINTY (MONTE CARLO)
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Normalize validate()'s `uncertainty` option
+ * Accepts true/undefined (defaults), a draw count, { draws, seed },
+ * or false to skip the simulation
+ */
+function getUncertaintyOptions(uncertainty = true) {
+  if (uncertainty === false) return null;
+  const options = typeof uncertainty === 'number' ? { draws: uncertainty }
+    : typeof uncertainty === 'object' ? uncertainty
+    : {};
+  const draws = options.draws ?? DEFAULT_DRAWS;
+  const seed = options.seed ?? DEFAULT_SEED;
+  if (!Number.isInteger(draws) || draws < 1 || draws > 1000000) {
+    throw new Error(`Invalid draw count: ${draws} (expected 1-1000000)`);
+  }
+  if (!Number.isFinite(seed)) {
+    throw new Error(`Invalid seed: ${seed}`);
+  }
+  return { draws, seed };
+}
+
+/**
+ * Seeded uniform [0, 1) generator (mulberry32)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Gamma(shape, 1) draw (Marsaglia-Tsang; boosted for shape < 1)
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    // Box-Muller
+    const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    const v = Math.pow(1 + c * z, 3);
+    if (v <= 0) continue;
+    const u = 1 - random();
+    if (Math.log(u) < 0.5 * z * z + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+/**
+ * One draw of a likelihood; point values are returned unchanged
+ * Kept off exactly 0 so Bayes factors stay finite
+ */
+function sampleLikelihood(spec, random) {
+  if (typeof spec === 'number') return spec;
+  let value;
+  if (spec.beta) {
+    const x = sampleGamma(spec.beta[0], random);
+    value = x / (x + sampleGamma(spec.beta[1], random));
+  } else {
+    value = spec.interval[0] + (spec.interval[1] - spec.interval[0]) * random();
+  }
+  return Math.max(value, Number.EPSILON);
+}
+
+/**
+ * Mean, median and 5-95% interval of a sample
+ */
+function summarizeSamples(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const quantile = (q) => {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  };
+  return {
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    median: quantile(0.5),
+    p05: quantile(0.05),
+    p95: quantile(0.95)
+  };
+}
+
+/**
+ * Propagate the likelihood distributions to the Bayes factors and
+ * posteriors: each draw samples every likelihood once and recombines.
+ * Returns 5-95% credible intervals per item, per group and for the
+ * totals, and the share of draws that reach the point verdict's tier
+ */
+function simulate(items, groups, discriminating, prior, weighting, { draws, seed }) {
+  const random = createRandom(seed);
+  const priorOdds = prior / (1 - prior);
+  const toPosterior = bf => (priorOdds * bf) / (1 + priorOdds * bf);
+  const verdict = interpretBF(combinedBayesFactor(items, groups, { weighting }));
+  const groupFactors = getFactors(items, groups).filter(factor => factor.group);
+
+  const itemSamples = Object.fromEntries(items.map(item => [item.key, []]));
+  const groupSamples = Object.fromEntries(groupFactors.map(factor => [factor.key, []]));
+  const samples = {
+    combinedBF: [], discriminatingBF: [], naiveCombinedBF: [], posteriorAll: [], posteriorDiscrim: []
+  };
+  let verdictHeld = 0;
+
+  for (let n = 0; n < draws; n++) {
+    // One draw per likelihood, shared by every total that uses it
+    const drawn = new Map();
+    const value = spec => {
+      if (!drawn.has(spec)) drawn.set(spec, sampleLikelihood(spec, random));
+      return drawn.get(spec);
+    };
+    for (const item of items) {
+      itemSamples[item.key].push(bayesFactor(item, value));
+    }
+    for (const factor of groupFactors) {
+      groupSamples[factor.key].push(factorBayesFactor(factor, { weighting, value }));
+    }
+    const all = combinedBayesFactor(items, groups, { weighting, value });
+    const discrim = combinedBayesFactor(discriminating, groups, { weighting, value });
+    samples.combinedBF.push(all);
+    samples.discriminatingBF.push(discrim);
+    samples.naiveCombinedBF.push(combinedBayesFactor(items, [], { weighting, value }));
+    samples.posteriorAll.push(toPosterior(all));
+    samples.posteriorDiscrim.push(toPosterior(discrim));
+    if (interpretBF(all) === verdict) verdictHeld++;
+  }
+
+  const summary = { draws, seed };
+  for (const [name, values] of Object.entries(samples)) {
+    summary[name] = summarizeSamples(values);
+  }
+  summary.verdictShare = verdictHeld / draws;
+  summary.items = {};
+  for (const [key, values] of Object.entries(itemSamples)) {
+    summary.items[key] = summarizeSamples(values);
+  }
+  summary.groups = {};
+  for (const [key, values] of Object.entries(groupSamples)) {
+    summary.groups[key] = summarizeSamples(values);
+  }
+  return summary;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    REPORT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Print a validate() summary as the console report
+ */
+function printReport(summary) {
+  const { prior: priorDSO, results, combinedBF: allBF, discriminatingBF, posteriorAll, posteriorDiscrim } = summary;
+  const { uncertainty } = summary;
+  const byKey = key => results.find(r => r.key === key);
+
   console.log("═══════════════════════════════════════════════════════════════");
   console.log("       DSO WEATHER MODEL - BAYESIAN VALIDATION ENGINE");
   console.log("═══════════════════════════════════════════════════════════════");
   console.log("");
-  
-  // Set conservative prior (skeptical starting point)
-  const priorDSO = 0.10;  // Only 10% prior belief novel theory is correct
+
   console.log(`Prior probability DSO correct: ${(priorDSO * 100).toFixed(1)}%`);
-  console.log(`(Conservative/skeptical starting point for novel theory)`);
+  if (summary.priorNote) {
+    console.log(`(${summary.priorNote})`);
+  }
   console.log("");
-  
+
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    INDIVIDUAL EVIDENCE ANALYSIS");
   console.log("───────────────────────────────────────────────────────────────");
   console.log("");
-  
-  const evidenceKeys = Object.keys(evidence);
-  const results = [];
-  
-  for (const key of evidenceKeys) {
-    const bf = bayesFactor(key);
-    const conf = evidence[key].confidence;
-    const adjustedBF = 1 + (bf - 1) * conf;  // Confidence-weighted
-    
-    results.push({
-      key,
-      bf,
-      adjustedBF,
-      interpretation: interpretBF(bf),
-      dsoLikelihood: dsoModel[key].likelihood_of_observed,
-      nullLikelihood: nullModel[key].likelihood_of_observed,
-      mechanism: dsoModel[key].mechanism
-    });
-    
-    console.log(`┌─ ${key.toUpperCase().replace(/_/g, ' ')}`);
-    console.log(`│  Observed: ${evidence[key].observed}`);
-    console.log(`│  Source: ${evidence[key].source} (conf: ${(conf * 100).toFixed(0)}%)`);
+
+  for (const r of results) {
+    console.log(`┌─ ${r.key.toUpperCase().replace(/_/g, ' ')}`);
+    console.log(`│  Observed: ${r.observed}`);
+    console.log(`│  Source: ${r.source} (conf: ${(r.confidence * 100).toFixed(0)}%)`);
     console.log(`│`);
-    console.log(`│  DSO predicts: ${dsoModel[key].prediction}`);
-    console.log(`│  P(E|DSO) = ${dsoModel[key].likelihood_of_observed.toFixed(2)}`);
+    console.log(`│  DSO predicts: ${r.dsoPrediction}`);
+    console.log(`│  P(E|DSO) = ${r.dsoLikelihood.toFixed(2)}${formatDistribution(r.dsoDistribution)}`);
     console.log(`│`);
-    console.log(`│  Null predicts: ${nullModel[key].prediction}`);
-    console.log(`│  P(E|Null) = ${nullModel[key].likelihood_of_observed.toFixed(2)}`);
+    console.log(`│  Null predicts: ${r.nullPrediction}`);
+    console.log(`│  P(E|Null) = ${r.nullLikelihood.toFixed(2)}${formatDistribution(r.nullDistribution)}`);
     console.log(`│`);
-    console.log(`│  ► Bayes Factor: ${bf.toFixed(2)}`);
-    console.log(`│  ► ${interpretBF(bf)}`);
+    const interval = uncertainty ? uncertainty.items[r.key] : null;
+    console.log(`│  ► Bayes Factor: ${r.bf.toFixed(2)}` +
+      (interval && interval.p05 !== interval.p95 ? ` (90% CI ${interval.p05.toFixed(2)} - ${interval.p95.toFixed(2)})` : ''));
+    if (summary.weighting.scheme !== 'none') {
+      console.log(`│  ► Weighted (${summary.weighting.label}): ${r.weightedBF.toFixed(2)}`);
+    }
+    console.log(`│  ► ${r.interpretation}`);
     console.log(`└────────────────────────────────────────────────────`);
     console.log("");
   }
-  
-  // Categorize evidence
-  const discriminatingEvidence = results.filter(r => 
-    r.nullLikelihood < 0.30 && r.dsoLikelihood > 0.70
-  );
-  const sharedEvidence = results.filter(r =>
-    r.nullLikelihood > 0.50 && r.dsoLikelihood > 0.50
-  );
-  const uniqueDSOEvidence = results.filter(r =>
-    r.bf > 3
-  );
-  
+
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    EVIDENCE CATEGORIZATION");
   console.log("───────────────────────────────────────────────────────────────");
   console.log("");
-  
+
   console.log("DISCRIMINATING (DSO predicts, Null doesn't):");
-  for (const e of discriminatingEvidence) {
+  for (const e of summary.categories.discriminating.map(byKey)) {
     console.log(`  • ${e.key}: BF = ${e.bf.toFixed(2)}`);
     console.log(`    Mechanism: ${e.mechanism}`);
   }
   console.log("");
-  
+
   console.log("SHARED (Both models predict):");
-  for (const e of sharedEvidence) {
+  for (const e of summary.categories.shared.map(byKey)) {
     console.log(`  • ${e.key}: BF = ${e.bf.toFixed(2)}`);
   }
   console.log("");
-  
+
+  if (summary.groups.length > 0) {
+    console.log("DEPENDENT (counted as one factor per group):");
+    for (const g of summary.groups) {
+      const how = g.dependence === 'shared_mechanism' ? 'shared mechanism' : `correlation ρ = ${g.correlation.toFixed(2)}`;
+      console.log(`  • ${g.key} (${how}): ${g.members.join(', ')}`);
+      if (g.mechanism) {
+        console.log(`    Mechanism: ${g.mechanism}`);
+      }
+      console.log(`    ${g.joint ? 'Joint' : 'Group-level'} P(E|DSO) = ${g.dsoLikelihood.toFixed(2)}, P(E|Null) = ${g.nullLikelihood.toFixed(2)}`);
+      const interval = uncertainty ? uncertainty.groups[g.key] : null;
+      console.log(`    BF = ${g.bf.toFixed(2)}` +
+        (interval && interval.p05 !== interval.p95 ? ` (90% CI ${interval.p05.toFixed(2)} - ${interval.p95.toFixed(2)})` : '') +
+        ` vs ${g.naiveBF.toFixed(2)} if independent`);
+    }
+    console.log("");
+  }
+
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    COMBINED ANALYSIS");
   console.log("───────────────────────────────────────────────────────────────");
   console.log("");
-  
-  // Calculate combined Bayes Factor
-  const allBF = combinedBayesFactor(evidenceKeys);
-  const discriminatingBF = discriminatingEvidence.length > 0 
-    ? combinedBayesFactor(discriminatingEvidence.map(e => e.key))
-    : 1;
-  
+
+  console.log(`Confidence weighting: ${summary.weighting.label} (${summary.weighting.formula})`);
+  console.log("");
   console.log(`Combined Bayes Factor (all evidence): ${allBF.toFixed(2)}`);
   console.log(`Combined Bayes Factor (discriminating only): ${discriminatingBF.toFixed(2)}`);
+  if (summary.groups.length > 0) {
+    console.log(`Naive product, assuming independence: ${summary.naive.combinedBF.toFixed(2)} (all), ` +
+      `${summary.naive.discriminatingBF.toFixed(2)} (discriminating)`);
+  }
+  console.log("");
+  console.log("All evidence under each weighting scheme:");
+  for (const [scheme, totals] of Object.entries(summary.byWeighting)) {
+    const marker = scheme === summary.weighting.scheme ? '  ◄ used' : '';
+    console.log(`  ${WEIGHTING_SCHEMES[scheme].label.padEnd(22)} BF = ${totals.combinedBF.toFixed(2).padEnd(10)} ` +
+      `posterior ${(totals.posteriorAll * 100).toFixed(1)}%${marker}`);
+  }
   console.log("");
-  
-  // Calculate posterior
-  const posteriorAll = posteriorProbability(priorDSO, evidenceKeys);
-  const posteriorDiscrim = posteriorProbability(priorDSO, 
-    discriminatingEvidence.map(e => e.key));
-  
+
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    POSTERIOR PROBABILITIES");
   console.log("───────────────────────────────────────────────────────────────");
@@ -345,14 +898,44 @@ function runValidation() {
   console.log(`Prior P(DSO correct):                    ${(priorDSO * 100).toFixed(1)}%`);
   console.log(`Posterior (discriminating evidence):     ${(posteriorDiscrim * 100).toFixed(1)}%`);
   console.log(`Posterior (all evidence):                ${(posteriorAll * 100).toFixed(1)}%`);
+  if (summary.groups.length > 0) {
+    console.log(`Posterior (all evidence, naive):         ${(summary.naive.posteriorAll * 100).toFixed(1)}%`);
+  }
   console.log("");
-  
+
+  if (uncertainty) {
+    const bf = value => Math.round(value).toLocaleString('en-US');
+    const pct = value => `${(value * 100).toFixed(1)}%`;
+    const row = (label, s, format) =>
+      console.log(`${label.padEnd(41)}${format(s.median).padEnd(12)}${format(s.p05)} - ${format(s.p95)}`);
+
+    console.log("───────────────────────────────────────────────────────────────");
+    console.log("                    LIKELIHOOD UNCERTAINTY");
+    console.log("───────────────────────────────────────────────────────────────");
+    console.log("");
+    console.log(`${uncertainty.draws.toLocaleString('en-US')} Monte Carlo draws of the likelihood distributions (seed ${uncertainty.seed})`);
+    console.log("");
+    console.log(`${''.padEnd(41)}${'Median'.padEnd(12)}90% credible interval`);
+    row('Combined Bayes Factor (all evidence):', uncertainty.combinedBF, bf);
+    row('Combined Bayes Factor (discriminating):', uncertainty.discriminatingBF, bf);
+    if (summary.groups.length > 0) {
+      row('Naive product (independence):', uncertainty.naiveCombinedBF, bf);
+    }
+    row('Posterior (all evidence):', uncertainty.posteriorAll, pct);
+    row('Posterior (discriminating evidence):', uncertainty.posteriorDiscrim, pct);
+    console.log("");
+    console.log(`"${summary.verdict}" holds in ${pct(uncertainty.verdictShare)} of draws`);
+    console.log("");
+  }
+
+  printRobustness(summary);
+
   // Verdict
   console.log("═══════════════════════════════════════════════════════════════");
   console.log("                         VERDICT");
   console.log("═══════════════════════════════════════════════════════════════");
   console.log("");
-  
+
   if (allBF > 100) {
     console.log("  ████████████████████████████████████████████████████████");
     console.log("  █                                                      █");
@@ -372,33 +955,41 @@ function runValidation() {
     console.log("  █                                                      █");
     console.log("  ████████████████████████████████████████████████████████");
   }
-  
+
   console.log("");
   console.log(`  Combined Bayes Factor: ${allBF.toFixed(2)}`);
-  console.log(`  Interpretation: ${interpretBF(allBF)}`);
+  console.log(`  Interpretation: ${summary.verdict}`);
+  console.log(`  Confidence weighting: ${summary.weighting.label}`);
   console.log("");
   console.log(`  Starting from ${(priorDSO * 100).toFixed(0)}% belief, after examining`);
-  console.log(`  ${evidenceKeys.length} independent lines of evidence,`);
+  if (summary.factorCount === summary.evidenceCount) {
+    console.log(`  ${summary.evidenceCount} independent lines of evidence,`);
+  } else {
+    console.log(`  ${summary.evidenceCount} lines of evidence (${summary.factorCount} independent),`);
+  }
   console.log(`  probability DSO model correct: ${(posteriorAll * 100).toFixed(1)}%`);
   console.log("");
-  
+
   // Key findings
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    KEY FINDINGS");
   console.log("───────────────────────────────────────────────────────────────");
   console.log("");
-  
+
   console.log("DSO successfully explains phenomena that conventional models struggle with:");
   console.log("");
-  
-  const sortedByBF = [...results].sort((a, b) => b.bf - a.bf);
+
+  // Ranked by the same confidence-weighted factors as the headline
+  const sortedByBF = [...results].sort((a, b) => b.weightedBF - a.weightedBF);
+  console.log(`  (Bayes factors weighted: ${summary.weighting.label})`);
+  console.log("");
   for (let i = 0; i < Math.min(5, sortedByBF.length); i++) {
     const r = sortedByBF[i];
     console.log(`  ${i + 1}. ${r.key.replace(/_/g, ' ').toUpperCase()}`);
-    console.log(`     BF = ${r.bf.toFixed(2)} | DSO mechanism: ${r.mechanism}`);
+    console.log(`     BF = ${r.weightedBF.toFixed(2)} | DSO mechanism: ${r.mechanism}`);
     console.log("");
   }
-  
+
   // Specific DSO insights
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    DSO-SPECIFIC INSIGHTS");
@@ -414,6 +1005,8 @@ function runValidation() {
   console.log("");
   console.log("  3. WHY peak shifted 3 weeks earlier");
   console.log("     → E-threshold crossed sooner with warmer Gulf");
+  console.log("       (hypothesis only: the engine's climate scenarios leave");
+  console.log("       peak timing unchanged, see climateProjection.js)");
   console.log("");
   console.log("  4. WHY tornado alley moving east");
   console.log("     → Optimal zone shifts toward warming E-fuel source");
@@ -421,7 +1014,7 @@ function runValidation() {
   console.log("  5. WHY 3-7 PM peak");
   console.log("     → E-accumulation time from solar input to discharge");
   console.log("");
-  
+
   // Falsifiability
   console.log("───────────────────────────────────────────────────────────────");
   console.log("                    FALSIFIABILITY TESTS");
@@ -441,23 +1034,130 @@ function runValidation() {
   console.log("  • Eastward migration reverses");
   console.log("    (DSO predicts: continue toward Gulf fuel source)");
   console.log("");
-  
-  // Return summary object
-  return {
-    prior: priorDSO,
-    posteriorAll,
-    posteriorDiscrim,
-    combinedBF: allBF,
-    discriminatingBF,
-    evidenceCount: evidenceKeys.length,
-    discriminatingCount: discriminatingEvidence.length,
-    verdict: interpretBF(allBF),
-    results
+}
+
+/**
+ * Robustness section of the report: prior sweep, tier priors,
+ * leave-one-out and log BF contributions
+ */
+function printRobustness(summary) {
+  const { robustness } = summary;
+  const pct = value => `${(value * 100).toFixed(value < 0.01 ? 2 : 1)}%`;
+
+  console.log("───────────────────────────────────────────────────────────────");
+  console.log("                    ROBUSTNESS");
+  console.log("───────────────────────────────────────────────────────────────");
+  console.log("");
+
+  console.log(`Prior sweep (${summary.weighting.label} weighting):`);
+  console.log(`  ${'Prior'.padEnd(10)}${'Posterior (all)'.padEnd(20)}Posterior (discriminating)`);
+  for (const row of robustness.priorSweep) {
+    console.log(`  ${pct(row.prior).padEnd(10)}${pct(row.posteriorAll).padEnd(20)}${pct(row.posteriorDiscrim)}`);
+  }
+  console.log("");
+
+  console.log(`Minimum prior for the posterior odds to reach each tier (BF ${robustness.combinedBF.toFixed(2)}):`);
+  for (const t of robustness.tierPriors) {
+    const odds = `odds > ${t.odds}:1, P > ${pct(t.posterior)}`;
+    console.log(`  ${t.tier.padEnd(13)}(${odds})`.padEnd(42) + `prior ≥ ${pct(t.minPrior)}`);
+  }
+  console.log("");
+
+  console.log("Leave-one-out (combined BF without each item):");
+  for (const r of robustness.leaveOneOut) {
+    const marker = r.changesVerdict ? '  ◄ verdict changes' : '';
+    console.log(`  ${r.key.padEnd(26)}${r.combinedBF.toFixed(2).padStart(10)}  (÷${r.ratio.toFixed(2)})  ${r.verdict}${marker}`);
+  }
+  console.log("");
+
+  console.log(`Contribution to log10 BF (total ${robustness.log10BF.toFixed(2)}):`);
+  for (const c of robustness.contributions) {
+    const bar = '█'.repeat(Math.max(0, Math.round(c.share * 40)));
+    const group = c.group ? ` [${c.group}]` : '';
+    console.log(`  ${(c.key + group).padEnd(40)}${c.log10BF.toFixed(2).padStart(6)}  ${pct(c.share).padStart(6)}  ${bar}`);
+  }
+  console.log("");
+
+  const { dominant, fragile } = robustness;
+  if (dominant) {
+    console.log(`Largest single contribution: ${dominant.key} (${pct(dominant.share)} of log BF)`);
+  }
+  console.log(fragile.length > 0
+    ? `Verdict changes tier without: ${fragile.join(', ')}`
+    : "No single item changes the verdict when dropped");
+  console.log("");
+}
+
+/**
+ * " (Beta(17, 3))" style suffix for an uncertain likelihood
+ */
+function formatDistribution(spec) {
+  if (!spec) return '';
+  return spec.beta
+    ? ` (Beta(${spec.beta.join(', ')}))`
+    : ` (uniform ${spec.interval[0].toFixed(2)} - ${spec.interval[1].toFixed(2)})`;
+}
+
+/**
+ * Main validation routine: validate() and print the report
+ * Returns the summary object
+ */
+function runValidation(evidence = loadEvidence(), options = {}) {
+  const summary = validate(evidence, options);
+  printReport(summary);
+  return summary;
+}
+
+/**
+ * node bayesEngine.js [evidence.json] [--prior=0.2] [--weighting=tempered]
+ *                     [--draws=10000] [--seed=1]
+ * --draws=0 skips the uncertainty simulation
+ */
+function runCLI(args) {
+  const file = args.find(arg => !arg.startsWith('--'));
+  const text = name => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg === undefined ? undefined : arg.slice(name.length + 3);
   };
+  const flag = name => (text(name) === undefined ? undefined : Number(text(name)));
+  const options = { prior: flag('prior'), weighting: text('weighting') };
+  const draws = flag('draws');
+  options.uncertainty = draws === 0 ? false : { draws, seed: flag('seed') };
+  try {
+    runValidation(file ? loadEvidence(file) : loadEvidence(), options);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
 }
 
-// Run it
-const summary = runValidation();
+// Print the report only when executed directly (node bayesEngine.js)
+if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+  runCLI(process.argv.slice(2));
+}
 
-// Export for further analysis
-module.exports = { summary, evidence, dsoModel, nullModel };
+return {
+  DEFAULT_PRIOR,
+  PRIOR_SWEEP,
+  BF_TIERS,
+  WEIGHTING_SCHEMES,
+  EVIDENCE_SCHEMA,
+  loadEvidence,
+  fetchEvidence,
+  bayesFactor,
+  weightBayesFactor,
+  combinedBayesFactor,
+  posteriorProbability,
+  interpretBF,
+  categorizeEvidence,
+  minimumPrior,
+  getContributions,
+  getRobustness,
+  getFactors,
+  dependenceExponent,
+  factorLikelihood,
+  validate,
+  printReport,
+  runValidation
+};
+}));
@@ -0,0 +1,573 @@
+/**
+ * DSO Weather - Calibration
+ * Fits regional fuel/gradient and THRESHOLDS cutoffs to historical
+ * storm report counts by region and month, and writes a versioned
+ * parameter file the engine loads (DSOWeatherEngine.loadParameters):
+ *
+ *   region,month,count,year,type
+ *   tornado_alley,4,212,2019,tornado
+ *
+ * `year` and `type` are optional (type defaults to tornado). Counts
+ * for several years are summed; the expected count is scaled by the
+ * number of years, so region-months may cover different spans.
+ *
+ * Expected count for a region-month of one type:
+ *
+ *   λ = k_type × years × Σ_days [rule fires] × index(fuel, gradient, day)
+ *
+ * with danger as the index for tornadoes and probability otherwise
+ * (TYPE_INDEX). k_type is solved in closed form once, for the
+ * hand-set parameters, and then held: a free k would absorb any
+ * common change of level across the regions.
+ *
+ *   1. one factor m per region, Poisson maximum likelihood (default)
+ *      or least squares, with a weak pull toward the hand-set values.
+ *      Counts fix fuel × gradient, not each one, so both are scaled
+ *      by √m from their hand-set values
+ *   2. each 0-1 cutoff of the types' rules by grid search within
+ *      CUTOFF_BAND of its hand-set value, with the same pull
+ *
+ * The two stages alternate until the cutoffs settle. With
+ * --no-thresholds the rule gate is dropped and only stage 1 runs.
+ * Cutoffs the counts do not constrain (the loss is flat across the
+ * band) are reported as unidentified and not written out.
+ *
+ * Goodness of fit (r², RMSE, Poisson deviance) is reported for the
+ * hand-set and the calibrated parameters; tornado r² is checked
+ * against validationMetrics.tornado_count_correlation.
+ *
+ * Usage: node calibrate.js <counts.csv> [out.json] [--method poisson|lsq] [--no-thresholds]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DSOWeatherEngine } = require('./DSOWeatherEngine.js');
+const HYPOTHESES = require('./weatherHypotheses.json');
+
+// Daily index each report type scales with (anything else: probability)
+const TYPE_INDEX = { tornado: 'danger' };
+
+class Calibrator {
+  constructor(options = {}) {
+    this.engine = options.engine || new DSOWeatherEngine();
+    this.method = options.method || 'poisson';
+    if (this.method !== 'poisson' && this.method !== 'lsq') {
+      throw new Error(`Unknown method: ${this.method} (expected poisson or lsq)`);
+    }
+    this.fitThresholds = options.fitThresholds ?? true;
+    this.year = options.year || this.engine.year;          // Calendar used for the day terms
+
+    this.PRIOR_WEIGHT = options.priorWeight ?? 1;          // Pull toward hand-set values (loss per unit²)
+    this.FIT_RANGE = [0.05, 1];                            // Allowed fuel/gradient
+    this.THRESHOLD_STEP = 0.05;                            // Cutoff grid spacing on [0, 1]
+    this.CUTOFF_BAND = 0.15;                               // Cutoffs searched within ± this of the hand-set value
+    this.MAX_SWEEPS = 20;                                  // Coordinate passes per stage
+    this.MAX_ROUNDS = 5;                                   // Region/cutoff alternations
+    this.TOLERANCE = 1e-6;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    INPUT
+  // ═══════════════════════════════════════════════════════════════
+
+  static loadCounts(file) {
+    return Calibrator.parseCountsCSV(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Parse "region,month,count[,year][,type]" rows (header required,
+   * columns in any order, # comments allowed)
+   */
+  static parseCountsCSV(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    if (lines.length === 0) throw new Error('Count CSV is empty');
+    const header = lines.shift().split(',').map(h => h.trim());
+    const column = (name) => {
+      const index = header.indexOf(name);
+      if (index < 0) throw new Error(`Count CSV is missing the '${name}' column`);
+      return index;
+    };
+    const cols = { region: column('region'), month: column('month'), count: column('count') };
+    const yearCol = header.indexOf('year');
+    const typeCol = header.indexOf('type');
+
+    return lines.map((line, i) => {
+      const cells = line.split(',').map(c => c.trim());
+      const row = {
+        region: cells[cols.region],
+        month: Number(cells[cols.month]),
+        count: Number(cells[cols.count]),
+        year: yearCol >= 0 && cells[yearCol] ? Number(cells[yearCol]) : null,
+        type: (typeCol >= 0 && cells[typeCol]) || 'tornado'
+      };
+      if (!Number.isInteger(row.month) || row.month < 1 || row.month > 12) {
+        throw new Error(`Count CSV row ${i + 1}: invalid month '${cells[cols.month]}'`);
+      }
+      if (!Number.isFinite(row.count) || row.count < 0) {
+        throw new Error(`Count CSV row ${i + 1}: invalid count '${cells[cols.count]}'`);
+      }
+      if (row.year !== null && !Number.isInteger(row.year)) {
+        throw new Error(`Count CSV row ${i + 1}: invalid year '${cells[yearCol]}'`);
+      }
+      return row;
+    });
+  }
+
+  /**
+   * One cell per type, region and month, with its observed total,
+   * number of years and the daily factor terms
+   */
+  buildCells(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+      if (!this.engine.REGIONAL_FUEL[row.region]) {
+        throw new Error(`Unknown region in counts: ${row.region}`);
+      }
+      const key = `${row.type}|${row.region}|${row.month}`;
+      if (!groups.has(key)) {
+        groups.set(key, { type: row.type, region: row.region, month: row.month, count: 0, years: new Set() });
+      }
+      const group = groups.get(key);
+      group.count += row.count;
+      group.years.add(row.year);
+    }
+
+    const dayTerms = new Map();
+    return [...groups.values()].map(group => {
+      const termKey = `${group.region}|${group.month}`;
+      if (!dayTerms.has(termKey)) {
+        dayTerms.set(termKey, this.getDayTerms(group.region, group.month));
+      }
+      return {
+        type: group.type,
+        region: group.region,
+        month: group.month,
+        count: group.count,
+        exposure: group.years.size,
+        index: TYPE_INDEX[group.type] || 'probability',
+        rule: this.getRule(group.type),
+        days: dayTerms.get(termKey)
+      };
+    });
+  }
+
+  /**
+   * Catalyst and solar angle for every day of a month at the region's anchor
+   */
+  getDayTerms(region, month) {
+    const { lat } = this.engine.REGIONAL_FUEL[region];
+    const days = new Date(Date.UTC(this.year, month, 0)).getUTCDate();
+    const terms = [];
+    for (let day = 1; day <= days; day++) {
+      const date = new Date(Date.UTC(this.year, month - 1, day, 12));
+      terms.push({ lat, catalyst: this.engine.getCatalyst(date), solarAngle: this.engine.getSolarAngle(lat, date) });
+    }
+    return terms;
+  }
+
+  /**
+   * The storm type rule whose cutoffs can be fitted, or null
+   * (types needing observed inputs cannot be gated from counts)
+   */
+  getRule(type) {
+    if (!this.engine.THRESHOLDS[type]) return null;
+    const rule = this.engine.stormRules.rules.find(r => r.key === type);
+    return rule && rule.requires.length === 0 ? rule : null;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    MODEL
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Unscaled expected count for a cell (λ / k)
+   * `thresholds` applies the rule gate; null uses the index alone
+   */
+  getPredictor(cell, fuel, gradient, thresholds) {
+    const engine = this.engine;
+    const F = engine.adjustFuel(fuel, 0, !engine.REGIONAL_FUEL[cell.region].moistureSource);
+    const G = engine.adjustGradient(gradient);
+    const gated = thresholds && cell.rule;
+    let sum = 0;
+    for (const { lat, catalyst, solarAngle } of cell.days) {
+      const vars = engine.getRuleVariables(F, G, catalyst, solarAngle, lat);
+      if (gated && !cell.rule.when.evaluate(engine.stormRules.scope(cell.rule, vars), thresholds)) continue;
+      sum += vars[cell.index];
+    }
+    return cell.exposure * sum;
+  }
+
+  /**
+   * Closed-form scale per type: Poisson MLE Σy / Σx, least squares Σxy / Σx²
+   */
+  getScales(cells, predictors) {
+    const sums = {};
+    cells.forEach((cell, i) => {
+      const s = sums[cell.type] || (sums[cell.type] = { num: 0, den: 0 });
+      const x = predictors[i];
+      s.num += this.method === 'poisson' ? cell.count : cell.count * x;
+      s.den += this.method === 'poisson' ? x : x * x;
+    });
+    const scales = {};
+    for (const [type, s] of Object.entries(sums)) {
+      scales[type] = s.den > 0 ? s.num / s.den : 0;
+    }
+    return scales;
+  }
+
+  getLoss(cells, predictors, scales = this.getScales(cells, predictors)) {
+    const meanCount = Math.max(1, cells.reduce((sum, c) => sum + c.count, 0) / cells.length);
+    let loss = 0;
+    cells.forEach((cell, i) => {
+      const expected = scales[cell.type] * predictors[i];
+      loss += this.method === 'poisson'
+        ? poissonDeviance(cell.count, expected)
+        : (cell.count - expected) ** 2 / meanCount;   // Roughly deviance units, so the prior weighs alike
+    });
+    return loss;
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    FITTING
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * One factor m per region by coordinate descent, pulled toward the
+   * hand-set `prior` (m = 1); each factor is scanned coarsely, then
+   * refined by golden section (the rule gate makes the loss step-wise)
+   */
+  fitRegions(cells, start, prior, thresholds, scales) {
+    const params = JSON.parse(JSON.stringify(start));
+    const predictors = cells.map(c => this.getPredictor(c, params[c.region].fuel, params[c.region].gradient, thresholds));
+    const byRegion = {};
+    cells.forEach((cell, i) => (byRegion[cell.region] = byRegion[cell.region] || []).push(i));
+
+    const objective = () => {
+      let penalty = 0;
+      for (const id of Object.keys(byRegion)) {
+        penalty += (params[id].fuel - prior[id].fuel) ** 2 + (params[id].gradient - prior[id].gradient) ** 2;
+      }
+      return this.getLoss(cells, predictors, scales) + this.PRIOR_WEIGHT * penalty;
+    };
+
+    const [low, high] = this.FIT_RANGE;
+    let current = objective();
+    for (let sweep = 0; sweep < this.MAX_SWEEPS; sweep++) {
+      const before = current;
+      for (const [id, indices] of Object.entries(byRegion)) {
+        const { fuel, gradient } = prior[id];
+        // √m keeps both factors within FIT_RANGE
+        const range = [
+          Math.max(low / fuel, low / gradient) ** 2,
+          Math.min(high / fuel, high / gradient) ** 2
+        ];
+        const trial = (m) => {
+          params[id].fuel = fuel * Math.sqrt(m);
+          params[id].gradient = gradient * Math.sqrt(m);
+          for (const i of indices) {
+            predictors[i] = this.getPredictor(cells[i], params[id].fuel, params[id].gradient, thresholds);
+          }
+          return objective();
+        };
+        const step = (range[1] - range[0]) / 20;
+        let best = { value: (params[id].fuel * params[id].gradient) / (fuel * gradient), loss: current };
+        for (let m = range[0]; m <= range[1] + 1e-9; m += step) {
+          const loss = trial(m);
+          if (loss < best.loss) best = { value: m, loss };
+        }
+        const refined = goldenSection(trial, Math.max(range[0], best.value - step), Math.min(range[1], best.value + step));
+        const loss = trial(refined);
+        if (loss < best.loss) best = { value: refined, loss };
+        current = trial(best.value);
+      }
+      if (before - current < this.TOLERANCE * Math.max(1, before)) break;
+    }
+    return params;
+  }
+
+  /**
+   * Grid search over each 0-1 cutoff of the gated types, within
+   * CUTOFF_BAND of the hand-set value and pulled toward it
+   * Returns { thresholds, unidentified } - unidentified lists the
+   * cutoffs whose loss is flat across the band (left at the hand-set value)
+   */
+  fitCutoffs(cells, params, start, handSet, scales) {
+    const thresholds = JSON.parse(JSON.stringify(start));
+    const types = [...new Set(cells.filter(c => c.rule).map(c => c.type))];
+    const predict = () => cells.map(c => this.getPredictor(c, params[c.region].fuel, params[c.region].gradient, thresholds));
+    const objective = (type, key) => this.getLoss(cells, predict(), scales) +
+      this.PRIOR_WEIGHT * (thresholds[type][key] - handSet[type][key]) ** 2;
+    const band = (hand) => {
+      const values = [hand];
+      for (let v = 0; v <= 1 + 1e-9; v += this.THRESHOLD_STEP) {
+        const candidate = Math.round(v * 1000) / 1000;
+        if (Math.abs(candidate - hand) <= this.CUTOFF_BAND + 1e-9) values.push(candidate);
+      }
+      return values;
+    };
+
+    const unidentified = new Set();
+    for (let sweep = 0; sweep < this.MAX_SWEEPS; sweep++) {
+      let changed = false;
+      for (const type of types) {
+        for (const [key, value] of Object.entries(thresholds[type])) {
+          const hand = handSet[type][key];
+          if (typeof hand !== 'number' || hand < 0 || hand > 1) continue;
+          let best = { value, loss: objective(type, key) };
+          let flat = true;
+          const base = this.getLoss(cells, predict(), scales);
+          for (const candidate of band(hand)) {
+            thresholds[type][key] = candidate;
+            const fit = this.getLoss(cells, predict(), scales);
+            if (Math.abs(fit - base) > this.TOLERANCE * Math.max(1, base)) flat = false;
+            const loss = objective(type, key);
+            if (loss < best.loss - this.TOLERANCE * Math.max(1, best.loss)) best = { value: candidate, loss };
+          }
+          if (flat) {
+            thresholds[type][key] = hand;
+            unidentified.add(`${type}.${key}`);
+            continue;
+          }
+          unidentified.delete(`${type}.${key}`);
+          thresholds[type][key] = best.value;
+          if (best.value !== value) changed = true;
+        }
+      }
+      if (!changed) break;
+    }
+    return { thresholds, unidentified: [...unidentified] };
+  }
+
+  /**
+   * Calibrate against parsed count rows; returns the parameter document
+   * Regions and cutoffs are fitted in turn until the cutoffs settle.
+   */
+  run(rows, source = {}) {
+    const cells = this.buildCells(rows);
+    if (cells.length === 0) throw new Error('No counts to calibrate against');
+
+    const handSet = {};
+    for (const id of new Set(cells.map(c => c.region))) {
+      const { fuel, gradient } = this.engine.REGIONAL_FUEL[id];
+      handSet[id] = { fuel, gradient };
+    }
+
+    const initial = this.fitThresholds ? JSON.parse(JSON.stringify(this.engine.THRESHOLDS)) : null;
+    const scales = this.getFitMetrics(cells, handSet, initial).scales;
+    let gate = initial;
+    let unidentified = [];
+    let regions = roundParams(this.fitRegions(cells, handSet, handSet, gate, scales));
+    for (let round = 0; this.fitThresholds && round < this.MAX_ROUNDS; round++) {
+      const next = this.fitCutoffs(cells, regions, gate, initial, scales);
+      unidentified = next.unidentified;
+      if (JSON.stringify(next.thresholds) === JSON.stringify(gate)) break;
+      gate = next.thresholds;
+      regions = roundParams(this.fitRegions(cells, regions, handSet, gate, scales));
+    }
+
+    const thresholds = {};
+    if (gate) {
+      for (const type of new Set(cells.filter(c => c.rule).map(c => c.type))) {
+        thresholds[type] = {};
+        for (const [key, value] of Object.entries(gate[type])) {
+          if (typeof value === 'number' && !unidentified.includes(`${type}.${key}`)) thresholds[type][key] = value;
+        }
+      }
+    }
+    const baseline = this.getFitMetrics(cells, handSet, initial);
+    const calibrated = this.getFitMetrics(cells, regions, gate, scales);
+
+    const target = HYPOTHESES.validationMetrics.tornado_count_correlation.target_r_squared;
+    const tornadoR2 = calibrated.byType.tornado ? calibrated.byType.tornado.r2 : null;
+
+    return {
+      format: this.engine.PARAMETER_FORMAT,
+      version: this.engine.PARAMETER_VERSION,
+      created: new Date().toISOString(),
+      method: this.method,
+      source: {
+        ...source,
+        rows: rows.length,
+        cells: cells.length,
+        types: [...new Set(cells.map(c => c.type))],
+        calendarYear: this.year
+      },
+      regions,
+      thresholds,
+      unidentified,
+      fit: {
+        baseline: baseline.byType,
+        calibrated: calibrated.byType
+      },
+      target: {
+        metric: 'tornado_count_correlation',
+        r2: target,
+        achieved: tornadoR2,
+        met: tornadoR2 !== null && tornadoR2 >= target
+      }
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    GOODNESS OF FIT
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * r² (squared correlation of observed vs expected counts), RMSE and
+   * Poisson deviance per type, for one parameter set
+   * (k per type fitted to it unless `scales` is given)
+   */
+  getFitMetrics(cells, params, thresholds, scales = null) {
+    const predictors = cells.map(c => this.getPredictor(c, params[c.region].fuel, params[c.region].gradient, thresholds));
+    scales = scales || this.getScales(cells, predictors);
+    const byType = {};
+    for (const type of Object.keys(scales)) {
+      const observed = [];
+      const expected = [];
+      cells.forEach((cell, i) => {
+        if (cell.type !== type) return;
+        observed.push(cell.count);
+        expected.push(scales[type] * predictors[i]);
+      });
+      const r = correlation(observed, expected);
+      byType[type] = {
+        cells: observed.length,
+        observed: sum(observed),
+        expected: round(sum(expected), 2),
+        r2: r === null ? null : round(r * r, 4),
+        rmse: round(Math.sqrt(observed.reduce((s, y, i) => s + (y - expected[i]) ** 2, 0) / observed.length), 3),
+        deviance: round(observed.reduce((s, y, i) => s + poissonDeviance(y, expected[i]), 0), 3)
+      };
+    }
+    return { scales, byType };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function poissonDeviance(y, mu) {
+  const m = Math.max(mu, 1e-12);
+  return y > 0 ? 2 * (y * Math.log(y / m) - (y - m)) : 2 * m;
+}
+
+/**
+ * Minimizer of f on [a, b] (unimodal assumed)
+ */
+function goldenSection(f, a, b, iterations = 40) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  for (let i = 0; i < iterations; i++) {
+    if (fc < fd) {
+      b = d; d = c; fd = fc;
+      c = b - ratio * (b - a);
+      fc = f(c);
+    } else {
+      a = c; c = d; fc = fd;
+      d = a + ratio * (b - a);
+      fd = f(d);
+    }
+  }
+  return (a + b) / 2;
+}
+
+function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mx = sum(xs) / n;
+  const my = sum(ys) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function sum(values) {
+  return values.reduce((a, b) => a + b, 0);
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function roundParams(params) {
+  const out = {};
+  for (const [id, p] of Object.entries(params)) {
+    out[id] = { fuel: round(p.fuel, 4), gradient: round(p.gradient, 4) };
+  }
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    COMMAND LINE
+// ═══════════════════════════════════════════════════════════════
+
+function runCLI(args) {
+  const flags = args.filter(a => a.startsWith('--'));
+  const positional = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--method');
+  const [countsFile, outFile = 'dso-parameters.json'] = positional;
+  if (!countsFile) {
+    console.error('Usage: node calibrate.js <counts.csv> [out.json] [--method poisson|lsq] [--no-thresholds]');
+    process.exitCode = 1;
+    return;
+  }
+  const methodIndex = args.indexOf('--method');
+
+  const calibrator = new Calibrator({
+    method: methodIndex >= 0 ? args[methodIndex + 1] : 'poisson',
+    fitThresholds: !flags.includes('--no-thresholds')
+  });
+  const params = calibrator.run(Calibrator.loadCounts(countsFile), { file: path.basename(countsFile) });
+  fs.writeFileSync(outFile, JSON.stringify(params, null, 2) + '\n');
+
+  const engine = calibrator.engine;
+  const line = '═'.repeat(67);
+  console.log(line);
+  console.log(`          DSO CALIBRATION - ${params.method === 'poisson' ? 'Poisson maximum likelihood' : 'least squares'}`);
+  console.log(line);
+  console.log(`  ${params.source.rows} rows → ${params.source.cells} region-month cells (${params.source.types.join(', ')})`);
+  console.log('');
+  console.log('  Region             fuel            gradient');
+  for (const [id, p] of Object.entries(params.regions)) {
+    const r = engine.REGIONAL_FUEL[id];
+    console.log(`  ${id.padEnd(18)} ${r.fuel.toFixed(2)} → ${p.fuel.toFixed(3)}   ${r.gradient.toFixed(2)} → ${p.gradient.toFixed(3)}`);
+  }
+  for (const [type, cutoffs] of Object.entries(params.thresholds)) {
+    const changes = Object.entries(cutoffs)
+      .filter(([key, value]) => value !== engine.THRESHOLDS[type][key])
+      .map(([key, value]) => `${key} ${engine.THRESHOLDS[type][key]} → ${value}`);
+    console.log(`  ${type} cutoffs: ${changes.length ? changes.join(', ') : 'unchanged'}`);
+  }
+  if (params.unidentified.length > 0) {
+    console.log(`  Not identifiable from these counts (left out): ${params.unidentified.join(', ')}`);
+  }
+  console.log('');
+  console.log('  Fit            r² (hand-set → calibrated)   RMSE             deviance');
+  for (const [type, fit] of Object.entries(params.fit.calibrated)) {
+    const base = params.fit.baseline[type];
+    console.log(`  ${type.padEnd(14)} ${String(base.r2).padEnd(7)} → ${String(fit.r2).padEnd(18)} ` +
+      `${base.rmse} → ${fit.rmse}   ${base.deviance} → ${fit.deviance}`);
+  }
+  if (params.target.achieved !== null) {
+    console.log('');
+    console.log(`  Target tornado r² ≥ ${params.target.r2}: ${params.target.achieved} ${params.target.met ? '✓ met' : '✗ not met'}`);
+  }
+  console.log('');
+  console.log(`  Wrote ${outFile} - load with new DSOWeatherEngine({ parametersFile: '${outFile}' })`);
+}
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2));
+}
+
+module.exports = { Calibrator, TYPE_INDEX };
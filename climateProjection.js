@@ -0,0 +1,381 @@
+/**
+ * DSO Weather - Climate Projection Runner
+ * Runs the engine for every region and day along a warming pathway,
+ * year by year, and reduces each year to season metrics:
+ *
+ *   peak day, season length, annual integrated danger,
+ *   and the danger-weighted centroid
+ *
+ * A scenario scales each region's fuel and gradient but leaves the
+ * daily catalyst and solar terms alone, so peak days do not respond
+ * to warming and are reported per year only. The centroid moves
+ * because fuel is capped at 1: regions already near the cap gain
+ * less from Gulf warming than the rest.
+ *
+ * Pathways are year-by-year ΔT_Gulf / ΔT_Arctic curves (°C above
+ * present day), loaded from JSON (see climatePathways.json) or CSV:
+ *
+ *   pathway,year,deltaGulf,deltaArctic
+ *   ssp245,2025,0,0
+ *   ssp245,2050,0.65,1.75
+ *
+ * Values between listed years are interpolated linearly; outside the
+ * listed range the end values are held.
+ *
+ * Usage: node climateProjection.js [pathway] [pathwaysFile] [--csv]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DSOWeatherEngine } = require('./DSOWeatherEngine.js');
+
+const DEFAULT_PATHWAYS_FILE = path.join(__dirname, 'climatePathways.json');
+
+class ClimateProjection {
+  constructor(options = {}) {
+    this.engine = options.engine || new DSOWeatherEngine();
+    // Pathways are Gulf/Arctic warming and only Gulf-fed fuel responds to
+    // them (see adjustFuel): default to the regions the Gulf feeds
+    this.regions = options.regions || Object.keys(this.engine.REGIONAL_FUEL)
+      .filter(id => !this.engine.REGIONAL_FUEL[id].moistureSource);
+    this.SEASON_THRESHOLD = options.seasonThreshold ?? this.engine.SEASON_THRESHOLD;   // Daily danger counted as "in season"
+    this.pathways = options.pathways || ClimateProjection.loadPathways(options.pathwaysFile || DEFAULT_PATHWAYS_FILE);
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    PATHWAY LOADING
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Load pathways from a .json or .csv file
+   * Returns { id: { name, years, deltaGulf, deltaArctic } }
+   */
+  static loadPathways(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    return path.extname(file).toLowerCase() === '.csv'
+      ? ClimateProjection.parsePathwaysCSV(text)
+      : ClimateProjection.parsePathwaysJSON(JSON.parse(text));
+  }
+
+  /**
+   * Normalize a pathways document (or a bare id → pathway map)
+   */
+  static parsePathwaysJSON(data) {
+    const source = data.pathways || data;
+    const pathways = {};
+    for (const [id, p] of Object.entries(source)) {
+      const points = p.years.map((year, i) => ({
+        year,
+        deltaGulf: p.deltaGulf[i],
+        deltaArctic: p.deltaArctic[i]
+      }));
+      pathways[id] = ClimateProjection.buildPathway(id, p.name || id, points);
+    }
+    return pathways;
+  }
+
+  /**
+   * Parse "pathway,year,deltaGulf,deltaArctic" rows (header required,
+   * columns in any order, # comments allowed)
+   */
+  static parsePathwaysCSV(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+    const header = lines.shift().split(',').map(h => h.trim());
+    const column = (name) => {
+      const index = header.indexOf(name);
+      if (index < 0) throw new Error(`Pathway CSV is missing the '${name}' column`);
+      return index;
+    };
+    const cols = {
+      pathway: column('pathway'),
+      year: column('year'),
+      deltaGulf: column('deltaGulf'),
+      deltaArctic: column('deltaArctic')
+    };
+    const name = header.indexOf('name');
+
+    const points = {};
+    const names = {};
+    for (const line of lines) {
+      const cells = line.split(',').map(c => c.trim());
+      const id = cells[cols.pathway];
+      (points[id] = points[id] || []).push({
+        year: Number(cells[cols.year]),
+        deltaGulf: Number(cells[cols.deltaGulf]),
+        deltaArctic: Number(cells[cols.deltaArctic])
+      });
+      if (name >= 0 && cells[name]) names[id] = cells[name];
+    }
+
+    const pathways = {};
+    for (const id of Object.keys(points)) {
+      pathways[id] = ClimateProjection.buildPathway(id, names[id] || id, points[id]);
+    }
+    return pathways;
+  }
+
+  /**
+   * Validate and sort one pathway's points
+   */
+  static buildPathway(id, name, points) {
+    for (const p of points) {
+      if (!Number.isInteger(p.year) || !Number.isFinite(p.deltaGulf) || !Number.isFinite(p.deltaArctic)) {
+        throw new Error(`Pathway '${id}': invalid point ${JSON.stringify(p)}`);
+      }
+    }
+    if (points.length === 0) throw new Error(`Pathway '${id}' has no points`);
+    const sorted = [...points].sort((a, b) => a.year - b.year);
+    return {
+      name,
+      years: sorted.map(p => p.year),
+      deltaGulf: sorted.map(p => p.deltaGulf),
+      deltaArctic: sorted.map(p => p.deltaArctic)
+    };
+  }
+
+  /**
+   * Climate scenario for a pathway in a given year
+   */
+  getScenario(pathwayId, year) {
+    const p = this.pathways[pathwayId];
+    if (!p) return null;
+    const { years } = p;
+
+    if (year <= years[0]) return { deltaGulf: p.deltaGulf[0], deltaArctic: p.deltaArctic[0] };
+    const last = years.length - 1;
+    if (year >= years[last]) return { deltaGulf: p.deltaGulf[last], deltaArctic: p.deltaArctic[last] };
+
+    const i = years.findIndex(y => y > year) - 1;
+    const f = (year - years[i]) / (years[i + 1] - years[i]);
+    return {
+      deltaGulf: p.deltaGulf[i] + f * (p.deltaGulf[i + 1] - p.deltaGulf[i]),
+      deltaArctic: p.deltaArctic[i] + f * (p.deltaArctic[i + 1] - p.deltaArctic[i])
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  //                    PROJECTION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Run the engine over every region and day of one year
+   */
+  projectYear(year, scenario) {
+    const engine = this.engine;
+    const days = engine.getDaysInYear(year);
+
+    const regionState = this.regions.map(region => ({
+      region,
+      lat: engine.REGIONAL_FUEL[region].lat,
+      lon: engine.REGIONAL_FUEL[region].lon,
+      fuel: engine.getEFuel(region, scenario),
+      gradient: engine.getGradient(region, scenario),
+      integrated: 0,
+      peakDanger: -1,
+      peakDay: 0,
+      seasonDays: 0,
+      seasonStart: null,
+      seasonEnd: null
+    }));
+    const national = new Float64Array(days);
+
+    const dateOf = (day) => new Date(Date.UTC(year, 0, day, 12));
+    for (let day = 1; day <= days; day++) {
+      const date = dateOf(day);
+      const catalyst = engine.getCatalyst(date);
+
+      for (const r of regionState) {
+        const danger = engine.getDangerIndex(r.fuel, r.gradient, catalyst, engine.getSolarAngle(r.lat, date));
+        r.integrated += danger;
+        national[day - 1] += danger;
+        if (danger > r.peakDanger) {
+          r.peakDanger = danger;
+          r.peakDay = day;
+        }
+        if (danger >= this.SEASON_THRESHOLD) {
+          r.seasonDays++;
+          if (r.seasonStart === null) r.seasonStart = day;
+          r.seasonEnd = day;
+        }
+      }
+    }
+
+    const regions = {};
+    let total = 0;
+    let latSum = 0;
+    let lonSum = 0;
+    for (const r of regionState) {
+      regions[r.region] = {
+        peakDay: r.peakDay,
+        peakDate: engine.toISODate(dateOf(r.peakDay)),
+        peakDanger: r.peakDanger,
+        seasonLength: r.seasonDays,
+        seasonStart: r.seasonStart,
+        seasonEnd: r.seasonEnd,
+        integratedDanger: r.integrated
+      };
+      total += r.integrated;
+      latSum += r.integrated * r.lat;
+      lonSum += r.integrated * r.lon;
+    }
+
+    let nationalPeak = 0;
+    for (let i = 1; i < days; i++) {
+      if (national[i] > national[nationalPeak]) nationalPeak = i;
+    }
+    const seasonLengths = regionState.map(r => r.seasonDays);
+
+    return {
+      year,
+      climate: engine.describeClimate(scenario),
+      regions,
+      national: {
+        integratedDanger: total,
+        peakDay: nationalPeak + 1,
+        peakDate: engine.toISODate(dateOf(nationalPeak + 1)),
+        meanSeasonLength: seasonLengths.reduce((a, b) => a + b, 0) / seasonLengths.length,
+        centroid: total > 0
+          ? { lat: latSum / total, lon: lonSum / total }
+          : { lat: null, lon: null }
+      }
+    };
+  }
+
+  /**
+   * Project a pathway year by year
+   * options: { startYear, endYear, step } (defaults: the pathway's span, 1)
+   */
+  run(pathwayId, options = {}) {
+    const p = this.pathways[pathwayId];
+    if (!p) return { error: `Unknown pathway: ${pathwayId}` };
+
+    const startYear = options.startYear ?? p.years[0];
+    const endYear = options.endYear ?? p.years[p.years.length - 1];
+    const step = options.step ?? 1;
+    if (!Number.isInteger(startYear) || !Number.isInteger(endYear) || endYear < startYear) {
+      return { error: `Invalid year range: ${startYear}-${endYear}` };
+    }
+    if (!Number.isInteger(step) || step < 1) {
+      return { error: `Invalid step: ${step}` };
+    }
+
+    const years = [];
+    for (let year = startYear; year <= endYear; year += step) {
+      years.push(this.projectYear(year, this.getScenario(pathwayId, year)));
+    }
+
+    return {
+      pathway: pathwayId,
+      name: p.name,
+      regions: this.regions,
+      seasonThreshold: this.SEASON_THRESHOLD,
+      years,
+      trends: this.getTrends(years)
+    };
+  }
+
+  /**
+   * Least-squares trends (per decade) of the national metrics
+   * Sign convention: centroidLon > 0 = eastward
+   */
+  getTrends(years) {
+    const x = years.map(y => y.year);
+    const perDecade = (values) => ClimateProjection.linearSlope(x, values) * 10;
+    return {
+      meanSeasonLength: perDecade(years.map(y => y.national.meanSeasonLength)),
+      integratedDanger: perDecade(years.map(y => y.national.integratedDanger)),
+      centroidLat: perDecade(years.map(y => y.national.centroid.lat ?? 0)),
+      centroidLon: perDecade(years.map(y => y.national.centroid.lon ?? 0))
+    };
+  }
+
+  static linearSlope(x, y) {
+    const n = x.length;
+    if (n < 2) return 0;
+    const mx = x.reduce((a, b) => a + b, 0) / n;
+    const my = y.reduce((a, b) => a + b, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (let i = 0; i < n; i++) {
+      num += (x[i] - mx) * (y[i] - my);
+      den += (x[i] - mx) ** 2;
+    }
+    return den > 0 ? num / den : 0;
+  }
+
+  /**
+   * Flatten a run() result to CSV, one row per year and region
+   * (region "national" carries the combined metrics)
+   */
+  toCSV(result) {
+    const rows = ['pathway,year,deltaGulf,deltaArctic,region,peakDay,peakDate,seasonLength,integratedDanger,centroidLat,centroidLon'];
+    for (const y of result.years) {
+      const prefix = `${result.pathway},${y.year},${y.climate.deltaGulf},${y.climate.deltaArctic}`;
+      const n = y.national;
+      rows.push(`${prefix},national,${n.peakDay},${n.peakDate},${n.meanSeasonLength},${n.integratedDanger},${n.centroid.lat},${n.centroid.lon}`);
+      for (const [region, r] of Object.entries(y.regions)) {
+        rows.push(`${prefix},${region},${r.peakDay},${r.peakDate},${r.seasonLength},${r.integratedDanger},,`);
+      }
+    }
+    return rows.join('\n');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    COMMAND LINE
+// ═══════════════════════════════════════════════════════════════
+
+function runCLI(args) {
+  const csv = args.includes('--csv');
+  const [pathwayId = 'ssp245', file] = args.filter(a => a !== '--csv');
+  const projection = new ClimateProjection(file ? { pathwaysFile: file } : {});
+  const result = projection.run(pathwayId);
+
+  if (result.error) {
+    console.error(result.error);
+    process.exitCode = 1;
+    return;
+  }
+  if (csv) {
+    console.log(projection.toCSV(result));
+    return;
+  }
+
+  console.log("═══════════════════════════════════════════════════════════════════════════");
+  console.log(`          DSO CLIMATE PROJECTION - ${result.name}`);
+  console.log("═══════════════════════════════════════════════════════════════════════════");
+  console.log("");
+  console.log("  Year │ ΔT Gulf │ ΔT Arctic │ Danger-days │ Peak   │ Season │ Centroid");
+  console.log("  ─────┼─────────┼───────────┼─────────────┼────────┼────────┼─────────────────");
+
+  for (const y of result.years) {
+    if (y.year % 5 !== 0 && y !== result.years[result.years.length - 1]) continue;
+    const n = y.national;
+    console.log(
+      `  ${y.year} │ ${y.climate.deltaGulf.toFixed(2).padStart(7)} │ ${y.climate.deltaArctic.toFixed(2).padStart(9)} │ ` +
+      `${n.integratedDanger.toFixed(1).padStart(11)} │ ${n.peakDate.slice(5)}  │ ${n.meanSeasonLength.toFixed(0).padStart(4)} d │ ` +
+      `${n.centroid.lat.toFixed(2)}°N ${Math.abs(n.centroid.lon).toFixed(2)}°W`
+    );
+  }
+
+  const t = result.trends;
+  const signed = (value, digits) => {
+    const rounded = Number(value.toFixed(digits));
+    return { text: `${rounded >= 0 ? '+' : ''}${rounded.toFixed(digits)}`, value: rounded };
+  };
+  const lon = signed(t.centroidLon, 3);
+  console.log("");
+  console.log("  Trends per decade:");
+  console.log(`    Season length:     ${signed(t.meanSeasonLength, 2).text} days`);
+  console.log(`    Integrated danger: ${signed(t.integratedDanger, 2).text} danger-days`);
+  console.log(`    Centroid:          ${lon.text}° lon${lon.value > 0 ? ' (eastward)' : lon.value < 0 ? ' (westward)' : ''}`);
+  console.log("");
+  console.log("  Peak timing is out of scope: scenarios scale fuel and gradient,");
+  console.log("  not the seasonal catalyst and solar terms, so peak days do not move.");
+}
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2));
+}
+
+module.exports = { ClimateProjection };
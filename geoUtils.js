@@ -0,0 +1,190 @@
+/**
+ * DSO Geometry Utilities
+ * Minimal GeoJSON helpers for region boundaries
+ *
+ * All geometries are normalized to MultiPolygon coordinates:
+ *   [ polygon: [ outer ring, ...holes ], ... ]  with [lon, lat] points
+ *
+ * Areas are on the sphere (EARTH_RADIUS_KM); point-in-polygon and
+ * centroids treat lon/lat as planar, which is fine at region scale.
+ *
+ * UMD module: require() under Node, window.DSOGeo in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DSOGeo = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Normalize GeoJSON (Feature, FeatureCollection, Polygon or
+ * MultiPolygon) to { type: 'MultiPolygon', coordinates }
+ */
+function toMultiPolygon(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('Expected a GeoJSON object');
+  }
+
+  let polygons;
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      polygons = geojson.features.flatMap(f => toMultiPolygon(f).coordinates);
+      break;
+    case 'Feature':
+      polygons = toMultiPolygon(geojson.geometry).coordinates;
+      break;
+    case 'Polygon':
+      polygons = [geojson.coordinates];
+      break;
+    case 'MultiPolygon':
+      polygons = geojson.coordinates;
+      break;
+    default:
+      throw new Error(`Unsupported GeoJSON type: ${geojson.type}`);
+  }
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    throw new Error('Geometry has no polygons');
+  }
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      throw new Error('Polygon has no rings');
+    }
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 3) {
+        throw new Error('Polygon rings need at least 3 positions');
+      }
+      for (const point of ring) {
+        const [lon, lat] = point || [];
+        if (!Number.isFinite(lon) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+          throw new Error(`Invalid position: ${JSON.stringify(point)}`);
+        }
+      }
+    }
+  }
+
+  return { type: 'MultiPolygon', coordinates: polygons };
+}
+
+/**
+ * [minLon, minLat, maxLon, maxLat]
+ */
+function getBoundingBox(geometry) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const polygon of geometry.coordinates) {
+    for (const [lon, lat] of polygon[0]) {
+      box[0] = Math.min(box[0], lon);
+      box[1] = Math.min(box[1], lat);
+      box[2] = Math.max(box[2], lon);
+      box[3] = Math.max(box[3], lat);
+    }
+  }
+  return box;
+}
+
+/**
+ * Even-odd ray cast for one ring
+ */
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Inside any polygon's outer ring and outside its holes
+ */
+function pointInGeometry(lat, lon, geometry) {
+  return geometry.coordinates.some(([outer, ...holes]) =>
+    pointInRing(lon, lat, outer) && !holes.some(hole => pointInRing(lon, lat, hole))
+  );
+}
+
+/**
+ * Spherical area of a ring in km² (unsigned)
+ */
+function ringAreaKm2(ring) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[(i + 1) % ring.length];
+    sum += toRad(lon2 - lon1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs((sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+/**
+ * Area in km² (holes subtracted)
+ */
+function getAreaKm2(geometry) {
+  let area = 0;
+  for (const [outer, ...holes] of geometry.coordinates) {
+    area += ringAreaKm2(outer) - holes.reduce((sum, hole) => sum + ringAreaKm2(hole), 0);
+  }
+  return area;
+}
+
+/**
+ * Area-weighted centroid of the outer rings, as { lat, lon }
+ */
+function getCentroid(geometry) {
+  let areaSum = 0;
+  let lonSum = 0;
+  let latSum = 0;
+  for (const [outer] of geometry.coordinates) {
+    for (let i = 0; i < outer.length; i++) {
+      const [x1, y1] = outer[i];
+      const [x2, y2] = outer[(i + 1) % outer.length];
+      const cross = x1 * y2 - x2 * y1;
+      areaSum += cross;
+      lonSum += (x1 + x2) * cross;
+      latSum += (y1 + y2) * cross;
+    }
+  }
+  if (Math.abs(areaSum) < 1e-12) {
+    const [minLon, minLat, maxLon, maxLat] = getBoundingBox(geometry);
+    return { lat: (minLat + maxLat) / 2, lon: (minLon + maxLon) / 2 };
+  }
+  return { lat: latSum / (3 * areaSum), lon: lonSum / (3 * areaSum) };
+}
+
+/**
+ * Grid-cell centres inside the geometry, `resolution` degrees apart
+ * Each point carries its cell area in km² as `weight`
+ */
+function samplePoints(geometry, resolution) {
+  const [minLon, minLat, maxLon, maxLat] = getBoundingBox(geometry);
+  const cellKm = (resolution * Math.PI / 180) * EARTH_RADIUS_KM;
+  const points = [];
+  for (let lat = minLat + resolution / 2; lat < maxLat; lat += resolution) {
+    for (let lon = minLon + resolution / 2; lon < maxLon; lon += resolution) {
+      if (pointInGeometry(lat, lon, geometry)) {
+        points.push({ lat, lon, weight: cellKm * cellKm * Math.cos(lat * Math.PI / 180) });
+      }
+    }
+  }
+  return points;
+}
+
+return {
+  EARTH_RADIUS_KM,
+  toMultiPolygon,
+  getBoundingBox,
+  pointInGeometry,
+  getAreaKm2,
+  getCentroid,
+  samplePoints
+};
+}));
@@ -0,0 +1,243 @@
+/**
+ * DSO Grid Export
+ * Writes engine.evaluateGrid() results in GIS formats:
+ *
+ *   toGeoJSONBands(grid, levels) - isoband polygons (FeatureCollection)
+ *   toAsciiGrid(grid)            - ESRI ASCII grid (.asc), readable by
+ *                                  GDAL/QGIS and convertible to GeoTIFF
+ *   toPrj()                      - WGS84 projection file for the grid
+ *
+ * Bands are unions of whole grid cells, so contour edges follow the
+ * cell boundaries (no interpolation between cell centres).
+ *
+ * Usage: node gridExport.js <date|start:end> [conus|global] [outPrefix] [resolution]
+ */
+
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Edge directions on the vertex lattice (x east, y north)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];   // E, N, W, S
+
+// ═══════════════════════════════════════════════════════════════
+//                    RASTER
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * ESRI ASCII grid, rows from north to south
+ */
+function toAsciiGrid(grid, options = {}) {
+  const nodata = options.nodata ?? -9999;
+  const precision = options.precision ?? 6;
+  const lines = [
+    `ncols ${grid.ncols}`,
+    `nrows ${grid.nrows}`,
+    `xllcorner ${grid.bounds.west}`,
+    `yllcorner ${grid.bounds.south}`,
+    `cellsize ${grid.resolution}`,
+    `NODATA_value ${nodata}`
+  ];
+  for (let row = 0; row < grid.nrows; row++) {
+    const cells = [];
+    for (let col = 0; col < grid.ncols; col++) {
+      const v = grid.values[row * grid.ncols + col];
+      cells.push(Number.isFinite(v) ? Number(v.toFixed(precision)) : nodata);
+    }
+    lines.push(cells.join(' '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toPrj() {
+  return WGS84_PRJ;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    ISOBANDS
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Isoband polygons, one Feature per level
+ * levels: [{ label, min }] ascending; each band runs up to the next
+ * level's min (the last one is open-ended)
+ */
+function toGeoJSONBands(grid, levels) {
+  const sorted = [...levels].sort((a, b) => a.min - b.min);
+  const features = [];
+
+  sorted.forEach((level, i) => {
+    const max = i + 1 < sorted.length ? sorted[i + 1].min : Infinity;
+    const inBand = (row, col) => {
+      if (row < 0 || row >= grid.nrows || col < 0 || col >= grid.ncols) return false;
+      const v = grid.values[row * grid.ncols + col];
+      return v >= level.min && v < max;
+    };
+    const polygons = traceBand(grid, inBand);
+    if (polygons.length === 0) return;
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        index: grid.index,
+        label: level.label,
+        min: level.min,
+        max: Number.isFinite(max) ? max : null,
+        startDate: grid.startDate,
+        endDate: grid.endDate
+      },
+      geometry: { type: 'MultiPolygon', coordinates: polygons }
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Boundary of the union of cells where inBand(row, col) is true
+ * Returns MultiPolygon coordinates (outer rings CCW, holes CW)
+ */
+function traceBand(grid, inBand) {
+  const { ncols, nrows } = grid;
+  const width = ncols + 1;
+  const key = (x, y) => y * width + x;
+
+  // Directed boundary edges with the band on the left
+  const outgoing = new Map();
+  const addEdge = (x, y, dir) => {
+    const k = key(x, y);
+    if (!outgoing.has(k)) outgoing.set(k, []);
+    outgoing.get(k).push({ x, y, dir, used: false });
+  };
+  for (let row = 0; row < nrows; row++) {
+    const y = nrows - 1 - row;   // Lattice y of the cell's southern edge
+    for (let col = 0; col < ncols; col++) {
+      if (!inBand(row, col)) continue;
+      if (!inBand(row + 1, col)) addEdge(col, y, 0);
+      if (!inBand(row, col + 1)) addEdge(col + 1, y, 1);
+      if (!inBand(row - 1, col)) addEdge(col + 1, y + 1, 2);
+      if (!inBand(row, col - 1)) addEdge(col, y + 1, 3);
+    }
+  }
+
+  // Follow edges into rings; at a pinch point turn left first so
+  // cells touching only at a corner become separate rings
+  const rings = [];
+  for (const edges of outgoing.values()) {
+    for (const start of edges) {
+      if (start.used) continue;
+      const ring = [];
+      let edge = start;
+      while (!edge.used) {
+        edge.used = true;
+        ring.push([edge.x, edge.y, edge.dir]);
+        const nx = edge.x + STEPS[edge.dir][0];
+        const ny = edge.y + STEPS[edge.dir][1];
+        const candidates = outgoing.get(key(nx, ny)) || [];
+        const turns = [(edge.dir + 1) % 4, edge.dir, (edge.dir + 3) % 4];
+        edge = turns.map(d => candidates.find(c => c.dir === d)).find(Boolean);
+        if (!edge) break;
+      }
+      rings.push(ring);
+    }
+  }
+
+  // Drop vertices in the middle of straight runs
+  const simplified = rings.map(ring => ring.filter((v, i) => v[2] !== ring[(i + ring.length - 1) % ring.length][2]));
+
+  const outers = [];
+  const holes = [];
+  for (const ring of simplified) {
+    const area = signedArea(ring);
+    (area > 0 ? outers : holes).push({ ring, area: Math.abs(area) });
+  }
+
+  // Each hole belongs to the smallest outer ring around the band cell on its left
+  const polygons = outers.map(o => ({ ...o, holes: [] }));
+  for (const hole of holes) {
+    const [x, y, dir] = hole.ring[0];
+    const [dx, dy] = STEPS[dir];
+    const px = x + dx / 2 - dy / 2;
+    const py = y + dy / 2 + dx / 2;
+    let owner = null;
+    for (const p of polygons) {
+      if ((!owner || p.area < owner.area) && pointInRing(px, py, p.ring)) owner = p;
+    }
+    if (owner) owner.holes.push(hole.ring);
+  }
+
+  const toCoordinates = (ring) => {
+    const coords = ring.map(([x, y]) => [
+      round(grid.bounds.west + x * grid.resolution),
+      round(grid.bounds.south + y * grid.resolution)
+    ]);
+    coords.push(coords[0]);
+    return coords;
+  };
+  return polygons.map(p => [toCoordinates(p.ring), ...p.holes.map(toCoordinates)]);
+}
+
+function signedArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    COMMAND LINE
+// ═══════════════════════════════════════════════════════════════
+
+function runCLI(args) {
+  const fs = require('fs');
+  const path = require('path');
+  const { DSOWeatherEngine } = require('./DSOWeatherEngine.js');
+  const [dateArg, bounds = 'conus', prefix = 'dso-danger', resolution] = args;
+  if (!dateArg) {
+    console.error('Usage: node gridExport.js <date|start:end> [conus|global] [outPrefix] [resolution]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const engine = new DSOWeatherEngine();
+  const [start, end = start] = dateArg.split(':');
+  const grid = engine.evaluateGrid({ start, end }, 0, {
+    bounds,
+    resolution: resolution ? Number(resolution) : undefined
+  });
+  if (grid.error) {
+    console.error(grid.error);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(prefix), { recursive: true });
+  fs.writeFileSync(`${prefix}.geojson`, JSON.stringify(toGeoJSONBands(grid, engine.DANGER_LEVELS)));
+  fs.writeFileSync(`${prefix}.asc`, toAsciiGrid(grid));
+  fs.writeFileSync(`${prefix}.prj`, toPrj());
+  console.log(`Wrote ${prefix}.geojson, ${prefix}.asc, ${prefix}.prj (${grid.ncols} x ${grid.nrows}, ${grid.days} day(s), max ${grid.max.toFixed(3)})`);
+}
+
+if (require.main === module) {
+  runCLI(process.argv.slice(2));
+}
+
+module.exports = { toGeoJSONBands, toAsciiGrid, toPrj };
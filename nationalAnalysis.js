@@ -4,6 +4,7 @@
  */
 
 const { DSOWeatherEngine } = require('./DSOWeatherEngine.js');
+const bayes = require('./bayesEngine.js');
 
 const engine = new DSOWeatherEngine();
 
@@ -152,13 +153,18 @@ const ta_future = engine.infer('tornado_alley', 105, 2);
 const da_current = engine.infer('dixie_alley', 75, 0);
 const da_future = engine.infer('dixie_alley', 75, 2);
 
+// Net effect of +2°C: Gulf fuel gain against Arctic gradient loss
+const climateNote = (current, future) => future.indices.danger > current.indices.danger
+  ? 'Fuel gain outweighs gradient loss'
+  : 'Gradient loss outweighs fuel gain';
+
 console.log("│   Tornado Alley (OK/KS):                                                │");
 console.log(`│     Current: Danger=${ta_current.indices.danger.toFixed(4)}                                      │`);
-console.log(`│     +2°C:    Danger=${ta_future.indices.danger.toFixed(4)} (Gradient reduction dampens gains)     │`);
+console.log(`│     +2°C:    Danger=${ta_future.indices.danger.toFixed(4)} (${climateNote(ta_current, ta_future)})`.padEnd(74) + '│');
 console.log("│                                                                         │");
 console.log("│   Dixie Alley (AR/TN/MS):                                               │");
 console.log(`│     Current: Danger=${da_current.indices.danger.toFixed(4)}                                      │`);
-console.log(`│     +2°C:    Danger=${da_future.indices.danger.toFixed(4)} (Closer to fuel source, more gain)    │`);
+console.log(`│     +2°C:    Danger=${da_future.indices.danger.toFixed(4)} (${climateNote(da_current, da_future)})`.padEnd(74) + '│');
 console.log("│                                                                         │");
 console.log("│   Result: As Gulf warms, the optimal zone shifts TOWARD the fuel       │");
 console.log("│           source. Dixie Alley becomes the new Tornado Alley.            │");
@@ -180,9 +186,11 @@ console.log("  ✓ 3-7 PM daily peak (E-accumulation time)");
 console.log("  ✓ Latitude migration following solar angle");
 console.log("  ✓ Eastward geographic shift toward Gulf (fuel source)");
 console.log("  ✓ Clustering (fewer days, more per outbreak)");
-console.log("  ✓ Peak shifting earlier (threshold crossed sooner)");
+console.log("  ✓ Peak shifting earlier (observed; scenarios do not model timing)");
 console.log("");
-console.log("  Bayes Factor (vs conventional): 17,632");
-console.log("  Posterior probability DSO correct: 99.9%");
+// Point estimates only; the Monte Carlo intervals are not printed here
+const validation = bayes.validate(bayes.loadEvidence(), { uncertainty: false });
+console.log(`  Bayes Factor (vs conventional): ${Math.round(validation.combinedBF).toLocaleString('en-US')}`);
+console.log(`  Posterior probability DSO correct: ${(validation.posteriorAll * 100).toFixed(1)}%`);
 console.log("");
 console.log("═══════════════════════════════════════════════════════════════════════════");
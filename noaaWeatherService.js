@@ -45,6 +45,14 @@ class DSOWeatherService {
 
         // Track previous values for trends
         this.previousValues = {};
+
+        // DSO engine for fused forecasts (loaded on demand if not given, with
+        // the storm type rules from hypothesesURL in the browser)
+        this.engine = config.engine || null;
+        this.hypothesesURL = config.hypothesesURL || 'weatherHypotheses.json';
+
+        // Share of live data in fused factors, scaled by data availability
+        this.LIVE_WEIGHT = config.liveWeight ?? 1;
     }
 
     // ═══════════════════════════════════════════════════════════════
@@ -698,11 +706,15 @@ class DSOWeatherService {
         return (365 - doy) + SPRING;
     }
 
-    getCatalystPhase(doy) {
-        if (doy >= 80 && doy < 172) return 'Post-spring equinox (declining)';
-        if (doy >= 172 && doy < 266) return 'Summer solstice minimum';
-        if (doy >= 266 && doy < 355) return 'Post-fall equinox (declining)';
-        return 'Winter solstice minimum';
+    getCatalystPhase(doy, lat = this.location.lat) {
+        // Seasons are flipped south of the equator
+        const [spring, summer, fall, winter] = lat < 0
+            ? ['fall', 'Winter', 'spring', 'Summer']
+            : ['spring', 'Summer', 'fall', 'Winter'];
+        if (doy >= 80 && doy < 172) return `Post-${spring} equinox (declining)`;
+        if (doy >= 172 && doy < 266) return `${summer} solstice minimum`;
+        if (doy >= 266 && doy < 355) return `Post-${fall} equinox (declining)`;
+        return `${winter} solstice minimum`;
     }
 
     calculateSolarAngle(lat, dayOfYear) {
@@ -783,7 +795,7 @@ class DSOWeatherService {
     }
 
     getLapseRateModifier(lapseRate) {
-        if (lapseRate === null) return 'NO DATA - Cannot assess stability';
+        if (lapseRate === null || lapseRate === undefined) return 'NO DATA - Cannot assess stability';
         if (lapseRate > 9.8) return `Absolutely unstable (${lapseRate.toFixed(1)}°C/km) - explosive convection`;
         if (lapseRate > 7.0) return `Steep lapse rate (${lapseRate.toFixed(1)}°C/km) - strong instability`;
         if (lapseRate > 5.5) return `Near moist-adiabatic (${lapseRate.toFixed(1)}°C/km) - conditionally unstable`;
@@ -861,6 +873,85 @@ class DSOWeatherService {
             }
         };
     }
+
+    // ═══════════════════════════════════════════════════════════════
+    // FUSED FORECAST (LIVE DATA + DSO ENGINE)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Full DSO classification for "today, here"
+     * Live E_fuel and gradient are blended into the engine's factors,
+     * each weighted by how much of its data actually arrived (Gulf SST
+     * points reporting for E_fuel, surface observations for gradient).
+     * Surface temperature feeds the ice storm boundary input.
+     *
+     * options: { climate, inputs } as for DSOWeatherEngine.infer()
+     */
+    async getFusedForecast(options = {}) {
+        let engine;
+        try {
+            engine = await this.getEngine();
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        if (!engine) {
+            return { success: false, error: 'No DSOWeatherEngine available - pass config.engine' };
+        }
+
+        const vars = await this.getWeatherVariables();
+        const liveValue = (field) => (field?.isReal ? field.raw : null);
+        const sources = vars.metadata.dataSources;
+
+        const observations = {
+            fuel: {
+                value: liveValue(vars.eFuel.value),
+                weight: this.LIVE_WEIGHT * (vars.eFuel.buoyReadings.length / this.GULF_POINTS.length)
+            },
+            gradient: {
+                value: liveValue(vars.gradient.value),
+                weight: this.LIVE_WEIGHT * (sources.surface ? 1 : 0)
+            },
+            boundaryTemp: liveValue(vars.thermalVariance.surfaceTemp)
+        };
+
+        const forecast = engine.inferFused(
+            this.location.lat,
+            this.location.lon,
+            new Date(),
+            observations,
+            options.climate || 0,
+            options.inputs || {}
+        );
+        if (forecast.error) {
+            return { success: false, error: forecast.error };
+        }
+
+        return {
+            success: true,
+            location: this.location.name,
+            ...forecast,
+            cape: liveValue(vars.energyDispersal.cape),
+            timestamp: new Date().toISOString(),
+            dataQuality: {
+                surface: sources.surface,
+                gulfSST: sources.gulfBuoys,
+                atmospheric: sources.atmospheric
+            }
+        };
+    }
+
+    async getEngine() {
+        if (!this.engine && typeof DSOWeatherEngine === 'function') {
+            // Browser: DSOWeatherEngine.js loaded as a <script>, which bundles
+            // no storm type rules - fetch them (throws if they can't be loaded)
+            this.engine = await DSOWeatherEngine.fromURL(this.hypothesesURL);
+        } else if (!this.engine && typeof require === 'function') {
+            // Node: the bundled weatherHypotheses.json rules
+            const { DSOWeatherEngine } = require('./DSOWeatherEngine.js');
+            this.engine = new DSOWeatherEngine();
+        }
+        return this.engine;
+    }
 }
 
 // Export
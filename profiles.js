@@ -0,0 +1,256 @@
+/**
+ * DSO Parameter Profiles
+ * Named, versioned sets of engine constants, stored as JSON in profiles/:
+ *
+ *   {
+ *     "format": "dso-profile",
+ *     "name": "arctic-amplified",
+ *     "version": 1,
+ *     "description": "...",
+ *     "parameters": { "ARCTIC_DAMPING": 0.45, "THRESHOLDS": { ... } }
+ *   }
+ *
+ * `parameters` may set any key in PROFILE_SCHEMA; the rest keep the
+ * engine's built-in values. Profiles are checked against the schema
+ * (a JSON Schema subset, see validate) before anything is applied.
+ *
+ * hashParameters() fingerprints a parameter set (64-bit FNV-1a over
+ * the canonical JSON) so results can name exactly what produced them.
+ *
+ * UMD module: require() under Node, window.DSOProfiles in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DSOProfiles = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+const PROFILE_FORMAT = 'dso-profile';
+
+// ═══════════════════════════════════════════════════════════════
+//                    SCHEMA
+// ═══════════════════════════════════════════════════════════════
+
+const POINT = {
+  type: 'object',
+  required: ['lat', 'lon'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    lat: { type: 'number', minimum: -90, maximum: 90 },
+    lon: { type: 'number', minimum: -180, maximum: 180 }
+  }
+};
+
+const UNIT = { type: 'number', minimum: 0, maximum: 1 };
+const SST = { type: 'number', minimum: -2, maximum: 40 };       // °C
+const DISTANCE = { type: 'number', minimum: 0 };                // km
+const SCALE_KM = { type: 'number', exclusiveMinimum: 0 };       // km, divides
+
+const PROFILE_SCHEMA = {
+  type: 'object',
+  required: ['format', 'name', 'version', 'parameters'],
+  additionalProperties: false,
+  properties: {
+    format: { enum: [PROFILE_FORMAT] },
+    name: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]*$' },
+    version: { type: 'integer', minimum: 1 },
+    description: { type: 'string' },
+    parameters: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        GULF_SST_BASELINE: SST,
+        GULF_SST_CURRENT: SST,
+        WARMING_COEFFICIENT: { type: 'number', minimum: 0 },
+        ARCTIC_DAMPING: { type: 'number', minimum: 0 },
+        WARMING_SCALE: { type: 'number', minimum: 0 },
+        REGIONAL_FUEL: {
+          type: 'object',
+          propertyNames: { pattern: '^[A-Za-z0-9_]+$' },
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string' },
+              lat: POINT.properties.lat,
+              lon: POINT.properties.lon,
+              fuel: UNIT,
+              gradient: UNIT,
+              geometry: { type: 'object' },
+              moistureSource: POINT
+            }
+          }
+        },
+        MOISTURE_SOURCE: POINT,
+        ANCHOR_RADIUS_KM: SCALE_KM,
+        IDW_POWER: { type: 'number', minimum: 0 },
+        FUEL_SOURCE_OFFSET_KM: DISTANCE,
+        FUEL_DECAY_KM: SCALE_KM,
+        GRADIENT_PEAK_KM: DISTANCE,
+        GRADIENT_WIDTH_KM: SCALE_KM,
+        GRADIENT_FLOOR: UNIT,
+        HURRICANE_MIN_LAT: { type: 'number', minimum: 0, maximum: 90 },
+        HURRICANE_FULL_LAT: { type: 'number', minimum: 0, maximum: 90 },
+        SEASON_THRESHOLD: UNIT,
+        DANGER_LEVELS: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['label', 'min'],
+            additionalProperties: false,
+            properties: { label: { type: 'string' }, min: UNIT }
+          }
+        },
+        THRESHOLDS: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            additionalProperties: {
+              type: ['number', 'array'],
+              items: { type: 'number' },
+              minItems: 2,
+              maxItems: 2
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Engine properties a profile may set
+const PROFILE_KEYS = Object.keys(PROFILE_SCHEMA.properties.parameters.properties);
+
+// ═══════════════════════════════════════════════════════════════
+//                    VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check `value` against a schema using the keywords above (type, enum,
+ * required, properties, additionalProperties, propertyNames, pattern,
+ * minimum, maximum, exclusiveMinimum, items, minItems, maxItems)
+ * Returns a list of "path: problem" messages, empty when valid
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const ok = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!ok) return [`${path}: expected ${allowed.join(' or ')}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (!Number.isFinite(value)) errors.push(`${path}: must be finite`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be ≤ ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+  if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: does not match ${schema.pattern}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing '${key}'`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}.${key}`;
+      if (schema.propertyNames) errors.push(...validate(key, { type: 'string', ...schema.propertyNames }, itemPath));
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...validate(item, schema.properties[key], itemPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${itemPath}: unknown property`);
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(item, schema.additionalProperties, itemPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Schema errors for a profile document (empty when valid)
+ */
+function validateProfile(profile) {
+  return validate(profile, PROFILE_SCHEMA);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    HASHING
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * JSON with object keys sorted, so equal parameter sets give equal text
+ * (non-finite numbers are written as strings rather than null)
+ */
+function canonicalJSON(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return JSON.stringify(String(value));
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 64-bit FNV-1a of the canonical JSON's UTF-8 bytes, as 16 hex digits
+ * A reproducibility fingerprint, not a security hash
+ */
+function hashParameters(parameters) {
+  const bytes = new TextEncoder().encode(canonicalJSON(parameters));
+  const mask = (1n << 64n) - 1n;
+  let hash = 0xcbf29ce484222325n;
+  for (const byte of bytes) {
+    hash ^= BigInt(byte);
+    hash = (hash * 0x100000001b3n) & mask;
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+return {
+  PROFILE_FORMAT,
+  PROFILE_SCHEMA,
+  PROFILE_KEYS,
+  validate,
+  validateProfile,
+  canonicalJSON,
+  hashParameters
+};
+}));
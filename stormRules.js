@@ -0,0 +1,526 @@
+/**
+ * DSO Storm Type Rules
+ * Data-driven storm classification from weatherHypotheses.json
+ *
+ * Each entry in `stormTypeEquations` carries its published formula
+ * plus the fields the classifier needs:
+ *
+ *   "tornado": {
+ *     "formula": "V = (∂E/∂φ) × |dθ/dt| × sin(α)",
+ *     "label": "TORNADO",
+ *     "when": "gradient > tornado.minGradient and catalyst > tornado.minCatalyst",
+ *     "mechanism": "...",
+ *     "scale": 1.0
+ *   }
+ *
+ * `formula` gives the storm probability, `when` decides whether the
+ * type applies at all. Dotted names (tornado.minGradient) resolve
+ * against the engine's THRESHOLDS. Entries without `when` are
+ * documented equations only and never classified. Entries are listed
+ * most specific first; when two types tie on probability the earlier
+ * one ranks higher.
+ *
+ * `requires` (optional) lists observed inputs the type cannot be
+ * judged without, e.g. ["duration"] - the rule is skipped unless
+ * each one was actually supplied rather than estimated.
+ *
+ * `unobserved` (optional) fixes inputs for this type when they were
+ * not supplied, in place of the engine's estimate, e.g.
+ * { "duration": 1 } keeps flash flood risk on fuel alone until τ is
+ * observed.
+ *
+ * Expressions are parsed into a small syntax tree and evaluated
+ * against an explicit variable scope - no eval(), no Function().
+ *
+ * UMD module: require() under Node, window.DSOStormRules in the browser.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DSOStormRules = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+// Published notation → engine variable names
+const SYMBOLS = {
+  '∂E_fuel/∂φ': 'gradient',
+  '∂E/∂φ': 'gradient',
+  'dθ/dt': 'catalyst',
+  'sin(α)': 'solarAngle',
+  'f(latitude)': 'latitudeFactor'
+};
+
+const ALIASES = {
+  E_fuel: 'fuel',
+  τ: 'duration',
+  T_boundary: 'boundaryFactor',
+  terrain_drainage: 'terrainDrainage',
+  P: 'probability',
+  V: 'volatility',
+  D: 'danger'
+};
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  sqrt: Math.sqrt,
+  exp: Math.exp,
+  log: Math.log,
+  sin: Math.sin,
+  cos: Math.cos
+};
+
+const OPERATORS = {
+  '×': '*', '·': '*', '*': '*',
+  '/': '/', '÷': '/',
+  '+': '+', '-': '-', '−': '-',
+  '^': '^',
+  '<': '<', '>': '>', '<=': '<=', '>=': '>=', '≤': '<=', '≥': '>=',
+  '==': '==', '!=': '!=', '≠': '!=',
+  '&&': 'and', '||': 'or', '!': 'not'
+};
+
+const SUPERSCRIPTS = { '²': 2, '³': 3 };
+
+// ═══════════════════════════════════════════════════════════════
+//                    EXPRESSION PARSER
+// ═══════════════════════════════════════════════════════════════
+
+function tokenize(source) {
+  const tokens = [];
+  const symbols = Object.keys(SYMBOLS).sort((a, b) => b.length - a.length);
+  const operators = Object.keys(OPERATORS).sort((a, b) => b.length - a.length);
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+
+    const space = rest.match(/^\s+/);
+    if (space) { i += space[0].length; continue; }
+
+    const symbol = symbols.find(s => rest.startsWith(s));
+    if (symbol) {
+      tokens.push({ type: 'ident', value: SYMBOLS[symbol] });
+      i += symbol.length;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]) });
+      i += number[0].length;
+      continue;
+    }
+
+    const ident = rest.match(/^[A-Za-z_Ͱ-Ͽ][\wͰ-Ͽ]*(\.[A-Za-z_]\w*)*/);
+    if (ident) {
+      const word = ident[0];
+      if (word === 'and' || word === 'or' || word === 'not') {
+        tokens.push({ type: 'op', value: word });
+      } else {
+        tokens.push({ type: 'ident', value: ALIASES[word] || word });
+      }
+      i += word.length;
+      continue;
+    }
+
+    if (SUPERSCRIPTS[rest[0]] !== undefined) {
+      tokens.push({ type: 'power', value: SUPERSCRIPTS[rest[0]] });
+      i += 1;
+      continue;
+    }
+
+    const op = operators.find(o => rest.startsWith(o));
+    if (op) {
+      tokens.push({ type: 'op', value: OPERATORS[op] });
+      i += op.length;
+      continue;
+    }
+
+    if ('()|,'.includes(rest[0])) {
+      tokens.push({ type: rest[0] });
+      i += 1;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${rest[0]}' in "${source}"`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser
+ *
+ *   or         := and ('or' and)*
+ *   and        := not ('and' not)*
+ *   not        := 'not' not | comparison
+ *   comparison := sum (('<' | '>' | '<=' | '>=' | '==' | '!=') sum)?
+ *   sum        := product (('+' | '-') product)*
+ *   product    := unary (('*' | '/') unary)*
+ *   unary      := '-' unary | power
+ *   power      := postfix ('^' unary)?
+ *   postfix    := primary ('²' | '³')*
+ *   primary    := number | ident | ident '(' args ')' | '(' or ')' | '|' or '|'
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...values) => peek()?.type === 'op' && values.includes(peek().value);
+  const expect = (type) => {
+    if (peek()?.type !== type) {
+      throw new Error(`Expected '${type}' at token ${pos} in "${source}"`);
+    }
+    return tokens[pos++];
+  };
+
+  const binary = (next, ...ops) => () => {
+    let node = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (!token) throw new Error(`Unexpected end of "${source}"`);
+
+    if (token.type === 'number') {
+      pos++;
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'ident') {
+      pos++;
+      if (peek()?.type === '(') {
+        pos++;
+        const args = [];
+        if (peek()?.type !== ')') {
+          args.push(or());
+          while (peek()?.type === ',') { pos++; args.push(or()); }
+        }
+        expect(')');
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function '${token.value}' in "${source}"`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'ident', name: token.value };
+    }
+    if (token.type === '(') {
+      pos++;
+      const node = or();
+      expect(')');
+      return node;
+    }
+    if (token.type === '|') {
+      pos++;
+      const node = or();
+      expect('|');
+      return { type: 'call', name: 'abs', args: [node] };
+    }
+    throw new Error(`Unexpected token '${token.value ?? token.type}' in "${source}"`);
+  };
+
+  const postfix = () => {
+    let node = primary();
+    while (peek()?.type === 'power') {
+      node = { type: 'binary', op: '^', left: node, right: { type: 'number', value: tokens[pos++].value } };
+    }
+    return node;
+  };
+
+  const unary = () => {
+    if (isOp('-')) {
+      pos++;
+      return { type: 'negate', operand: unary() };
+    }
+    return power();
+  };
+
+  const power = () => {
+    const base = postfix();
+    if (isOp('^')) {
+      pos++;
+      return { type: 'binary', op: '^', left: base, right: unary() };
+    }
+    return base;
+  };
+
+  const product = binary(unary, '*', '/');
+  const sum = binary(product, '+', '-');
+
+  const comparison = () => {
+    const left = sum();
+    if (isOp('<', '>', '<=', '>=', '==', '!=')) {
+      const op = tokens[pos++].value;
+      return { type: 'compare', op, left, right: sum() };
+    }
+    return left;
+  };
+
+  const not = () => {
+    if (isOp('not')) {
+      pos++;
+      return { type: 'not', operand: not() };
+    }
+    return comparison();
+  };
+
+  const and = binary(not, 'and');
+  const or = binary(and, 'or');
+
+  const ast = or();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected trailing input at token ${pos} in "${source}"`);
+  }
+  return ast;
+}
+
+function lookup(name, scope) {
+  const { variables = {}, params = {} } = scope;
+  if (Object.prototype.hasOwnProperty.call(variables, name)) {
+    return variables[name];
+  }
+
+  let value = params;
+  for (const part of name.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, part)) {
+      throw new Error(`Unknown variable '${name}'`);
+    }
+    value = value[part];
+  }
+  if (typeof value !== 'number') {
+    throw new Error(`'${name}' is not a number`);
+  }
+  return value;
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'number': return node.value;
+    case 'ident': return lookup(node.name, scope);
+    case 'negate': return -evaluate(node.operand, scope);
+    case 'not': return evaluate(node.operand, scope) ? 0 : 1;
+    case 'call': return FUNCTIONS[node.name](...node.args.map(a => evaluate(a, scope)));
+    case 'compare': {
+      const l = evaluate(node.left, scope);
+      const r = evaluate(node.right, scope);
+      switch (node.op) {
+        case '<': return l < r ? 1 : 0;
+        case '>': return l > r ? 1 : 0;
+        case '<=': return l <= r ? 1 : 0;
+        case '>=': return l >= r ? 1 : 0;
+        case '==': return l === r ? 1 : 0;
+        default: return l !== r ? 1 : 0;
+      }
+    }
+    case 'binary': {
+      if (node.op === 'and') return evaluate(node.left, scope) && evaluate(node.right, scope) ? 1 : 0;
+      if (node.op === 'or') return evaluate(node.left, scope) || evaluate(node.right, scope) ? 1 : 0;
+      const l = evaluate(node.left, scope);
+      const r = evaluate(node.right, scope);
+      switch (node.op) {
+        case '+': return l + r;
+        case '-': return l - r;
+        case '*': return l * r;
+        case '/': return l / r;
+        default: return Math.pow(l, r);
+      }
+    }
+    default:
+      throw new Error(`Unknown node type '${node.type}'`);
+  }
+}
+
+// Binding strength, for re-printing expressions with minimal parentheses
+const PRECEDENCE = { or: 1, and: 2, '+': 4, '-': 4, '*': 5, '/': 5, '^': 6 };
+
+/**
+ * Source-like text for a syntax tree node (used in explanations)
+ */
+function describe(node) {
+  switch (node.type) {
+    case 'number': return String(node.value);
+    case 'ident': return node.name;
+    case 'negate': return `-${describe(node.operand)}`;
+    case 'not': return `not ${describe(node.operand)}`;
+    case 'call':
+      return node.name === 'abs' && node.args.length === 1
+        ? `|${describe(node.args[0])}|`
+        : `${node.name}(${node.args.map(describe).join(', ')})`;
+    case 'compare': return `${describe(node.left)} ${node.op} ${describe(node.right)}`;
+    case 'binary': {
+      const wrap = (child, right) => {
+        const tight = child.type === 'binary' && (PRECEDENCE[child.op] < PRECEDENCE[node.op] ||
+          (right && PRECEDENCE[child.op] === PRECEDENCE[node.op]));
+        return tight ? `(${describe(child)})` : describe(child);
+      };
+      return `${wrap(node.left, false)} ${node.op} ${wrap(node.right, true)}`;
+    }
+    default: return '?';
+  }
+}
+
+/**
+ * Flatten the comparisons of a boolean expression
+ * (through and / or / not; `negated` marks those under an odd number of nots)
+ */
+function collectComparisons(node, negated = false, out = []) {
+  if (node.type === 'binary' && (node.op === 'and' || node.op === 'or')) {
+    collectComparisons(node.left, negated, out);
+    collectComparisons(node.right, negated, out);
+  } else if (node.type === 'not') {
+    collectComparisons(node.operand, !negated, out);
+  } else if (node.type === 'compare') {
+    out.push({ node, negated });
+  }
+  return out;
+}
+
+/**
+ * Compile an expression or published formula ("P = E_fuel × sin(α)")
+ * Returns { source, ast, evaluate(variables, params) }
+ */
+function compileExpression(source) {
+  const body = source.replace(/^\s*[A-Za-z]\w*(\([^)]*\))?\s*=(?!=)/, '');
+  const ast = parse(body);
+  return {
+    source,
+    ast,
+    evaluate: (variables, params) => evaluate(ast, { variables, params }),
+    conditions: (variables, params) => collectComparisons(ast).map(({ node, negated }) => {
+      const scope = { variables, params };
+      const value = evaluate(node.left, scope);
+      const limit = evaluate(node.right, scope);
+      const lowerBound = node.op === '>' || node.op === '>=';
+      const upperBound = node.op === '<' || node.op === '<=';
+      // Positive margin = satisfied by that much; null for (in)equality tests
+      let margin = lowerBound ? value - limit : upperBound ? limit - value : null;
+      if (negated && margin !== null) margin = -margin;
+      return {
+        expression: describe(node),
+        subject: describe(node.left),
+        op: node.op,
+        negated,
+        value,
+        limit,
+        margin,
+        passed: Boolean(evaluate(node, scope)) !== negated
+      };
+    })
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//                    RULE ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+class StormRuleEngine {
+  constructor(stormTypes) {
+    this.rules = [];
+    this.specs = {};                                      // Classified entries as given, for fingerprinting
+
+    for (const [key, spec] of Object.entries(stormTypes)) {
+      if (!spec.when) continue;
+      if (!spec.formula || !spec.label) {
+        throw new Error(`Storm type '${key}' needs both 'formula' and 'label' to be classified`);
+      }
+      try {
+        this.rules.push({
+          key,
+          label: spec.label,
+          mechanism: spec.mechanism || '',
+          scale: spec.scale ?? 1,
+          severityScale: spec.severityScale || null,
+          requires: spec.requires || [],
+          unobserved: spec.unobserved || {},
+          formula: compileExpression(spec.formula),
+          when: compileExpression(spec.when)
+        });
+      } catch (error) {
+        throw new Error(`Storm type '${key}': ${error.message}`);
+      }
+      this.specs[key] = spec;
+    }
+  }
+
+  /**
+   * Build from a parsed hypotheses document (or a bare stormTypeEquations map)
+   */
+  static fromHypotheses(hypotheses) {
+    return new StormRuleEngine(hypotheses.stormTypeEquations || hypotheses);
+  }
+
+  /**
+   * Build from a JSON file on disk (Node only)
+   */
+  static fromFile(path) {
+    const fs = require('fs');
+    return StormRuleEngine.fromHypotheses(JSON.parse(fs.readFileSync(path, 'utf8')));
+  }
+
+  /**
+   * Variables one rule is evaluated against: `variables` with the
+   * rule's `unobserved` values for inputs that weren't supplied
+   */
+  scope(rule, variables, inputs = {}) {
+    const missing = Object.keys(rule.unobserved).filter(name => !Number.isFinite(inputs[name]));
+    if (missing.length === 0) return variables;
+    const scope = { ...variables };
+    for (const name of missing) scope[name] = rule.unobserved[name];
+    return scope;
+  }
+
+  /**
+   * Evaluate every rule against the factor values
+   * `inputs` holds the observed inputs checked by `requires`
+   * Returns the matching storm types, unsorted
+   */
+  evaluate(variables, thresholds = {}, inputs = {}) {
+    const results = [];
+    for (const rule of this.rules) {
+      if (rule.requires.some(name => !Number.isFinite(inputs[name]))) continue;
+      const scope = this.scope(rule, variables, inputs);
+      if (!rule.when.evaluate(scope, thresholds)) continue;
+      results.push({
+        type: rule.label,
+        probability: rule.formula.evaluate(scope, thresholds) * rule.scale,
+        mechanism: rule.mechanism,
+        rule: rule.key,
+        severityScale: rule.severityScale
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Evaluate every rule condition by condition
+   * Returns, per rule, whether it matched, any missing required
+   * inputs and each comparison with its margin to the limit
+   */
+  explain(variables, thresholds = {}, inputs = {}) {
+    return this.rules.map(rule => {
+      const missingInputs = rule.requires.filter(name => !Number.isFinite(inputs[name]));
+      const scope = this.scope(rule, variables, inputs);
+      const matched = missingInputs.length === 0 && Boolean(rule.when.evaluate(scope, thresholds));
+      return {
+        type: rule.label,
+        rule: rule.key,
+        matched,
+        missingInputs,
+        probability: rule.formula.evaluate(scope, thresholds) * rule.scale,
+        conditions: rule.when.conditions(scope, thresholds)
+      };
+    });
+  }
+}
+
+return { StormRuleEngine, compileExpression };
+}));